@@ -12,8 +12,45 @@ class MonadError extends Error {
     }
 }
 
+/**
+ * The reason of rejection for Nothing converted to Promise (Nothing.toPromise).
+ */
+class NothingError extends Error {
+    constructor(message="Nothing has no value") {
+        super(message);
+        this.name = "NothingError";
+    }
+}
+
+/**
+ * The reason of rejection for Effect aborted by AbortSignal: the signal of effect.runAsync(env, {signal})
+ * (also runEitherAsync, runExitAsync), losers of Effect.race, effects cancelled by Effect.all/forEachPar.
+ * Aborting stops further steps, so catch/catchAsync of the aborted chain are not called.
+ */
+class AbortError extends Error {
+    /** @param {*} [reason] - reason of the AbortSignal */
+    constructor(reason) {
+        super("Effect was aborted");
+        this.name = "AbortError";
+        this.reason = reason;
+    }
+}
+
+/**
+ * The error of Effect.timeout without onTimeout handler. Can be caught by the following catch/catchAsync.
+ */
+class TimeoutError extends Error {
+    /** @param {number} ms */
+    constructor(ms) {
+        super(`Effect timed out after ${ms} ms`);
+        this.name = "TimeoutError";
+        this.ms = ms;
+    }
+}
+
 
 const M_BRAND = Symbol('Monad');
+const INSPECT_CUSTOM = Symbol.for('nodejs.util.inspect.custom');
 
 class Monad {
     static of() { throw new MonadError("Static Monad.of must be defined in subclass") }
@@ -27,6 +64,12 @@ class Monad {
     fold() { throw new MonadError("Monad.fold must be defined in subclass") }
 
     toString() { throw new MonadError("Monad.toString must be defined in subclass") }    
+
+    /** @returns {string} for Object.prototype.toString: [object Success], [object Effect]... */
+    get [Symbol.toStringTag]() { return this.constructor.name }
+
+    /** @returns {string} output of Node's console.log and util.inspect */
+    [INSPECT_CUSTOM]() { return this.toString() }
 }
 
 
@@ -40,12 +83,109 @@ const L_BRAND = Symbol('LMonad');
 class SMonad extends Monad {     
     constructor(value) { super(value); this[S_BRAND] = true; }  
 
+    /**
+     * Do-notation for simple monads. Drives the SYNC generator: every yielded SMonad is unwrapped
+     * and its value is sent back into the generator. Any mix of simple monads is possible.
+     * The first yielded halted SMonad (Fail/Nothing/Invalid) stops the generator and is returned.
+     * A returned SMonad is passed as is, other values are wrapped into the type of the last yielded container
+     * (Success if nothing was yielded) - the same as nested chain/map.
+     * The generator is closed (its finally blocks run) on short-circuit and on MonadError.
+     * @param {function(): Generator<SMonad, *, *>} genFunc
+     * @returns {SMonad}
+     * @throws {MonadError} - if genFunc is not a SYNC generator function or yields not SMonad
+     */
+    static do(genFunc) {
+        panicIfNotFunction(genFunc, 'SMonad.do');
+        const iterator = startGenerator(genFunc, 'SMonad.do');
+        if (typeof iterator[Symbol.asyncIterator] === 'function') {
+            throw new MonadError('SMonad.do - async generators are not supported, use Effect.gen for async code.')
+        }
+        let Right = Success;
+        const bind = container => {
+            panicOnChainViolation(container, 'SMonad.do');
+            if (container.isHalt()) { return [true, container] }
+            Right = container.constructor;
+            return [false, unwrapSMonad(container)]
+        };
+        const [halted, result] = driveGenerator(iterator, bind, 'SMonad.do');
+        if (halted) { return result }
+        return isSMonad(result) ? result : Right.of(result)
+    }
+
+    /**
+     * Structural equality of two values, SMonads are compared by their equals method.
+     * @param {*} a
+     * @param {*} b
+     * @param {function(*, *): boolean} [eqFn] - custom comparison of the values inside containers
+     * @returns {boolean}
+     */
+    static equals(a, b, eqFn) {
+        if (isSMonad(a)) { return a.equals(b, eqFn) }
+        return (typeof eqFn === 'function') ? Boolean(eqFn(a, b)) : deepEqual(a, b)
+    }
+
+    /**
+     * Reviver for JSON.parse: rebuilds containers (and errors inside them) serialized by toJSON.
+     * Usage: JSON.parse(text, SMonad.reviver)
+     * @param {string} _ key
+     * @param {*} value
+     * @returns {*}
+     * @throws {MonadError} unknown type of SMonad
+     */
+    static reviver(_, value) { return reviveTagged(value) }
+
+    /**
+     * Rebuilds SMonad serialized by toJSON.
+     * @param {string|Object} json - JSON text or already parsed object
+     * @returns {SMonad}
+     * @throws {MonadError} the result is not SMonad or unknown type of SMonad
+     */
+    static fromJSON(json) {
+        const result = (typeof json === 'string') ? JSON.parse(json, SMonad.reviver) : reviveDeep(json);
+        panicOnChainViolation(result, 'SMonad.fromJSON');
+        return result
+    }
+
     ap() { throw new MonadError("SMonad.ap must be defined in subclass")  }
 
     isRight() { return false }
 
     isHalt() { return false }    
 
+    /**
+     * Structural equality: the same class of container and deeply equal values
+     * (nested containers, arrays, plain objects, Date, Map, Set, Error are compared by content).
+     * @param {*} other
+     * @param {function(*, *): boolean} [eqFn] - custom comparison of the values inside
+     * @returns {boolean}
+     */
+    equals(other, eqFn) {
+        if (!isSMonad(other) || other.constructor !== this.constructor) { return false }
+        return (typeof eqFn === 'function') ? Boolean(eqFn(this._value, other._value)) : deepEqual(this._value, other._value)
+    }
+
+    /**
+     * Stable hash consistent with the default equals: equal containers have equal hash codes.
+     * Functions inside are hashed by identity, so such hash codes are stable within the current session only.
+     * @returns {number} unsigned 32-bit integer
+     */
+    hashCode() { return hashString(canonicalString(this)) }
+
+    /** @returns {string} for Object.prototype.toString, independent of minification */
+    get [Symbol.toStringTag]() { return variantOf(this) }
+
+    /**
+     * Tagged representation for JSON.stringify: {"$monad": "Success", "value": ...}.
+     * Nested containers are serialized the same way, Error instances keep name, message, stack and cause.
+     * @returns {{$monad: string, value?: *}}
+     */
+    toJSON() {
+        const json = { [JSON_TAG]: variantOf(this) };
+        if (this.isNothing()) { return json }
+        json.value = valueToJSON(this._value);
+        return json
+    }
+
     getOrElse() { throw new MonadError("SMonad.getOrElse must be defined in subclass")  }
 
     result() { throw new MonadError("SMonad.result must be defined in subclass") }    
@@ -63,6 +203,40 @@ class LMonad extends Monad {
     run() { throw new MonadError("LMonad.run must be defined in subclass") }
     
     static pure() { throw new MonadError("LMonad.pure must be defined in subclass") }
+
+    /**
+     * Sets the global tracer of Effect and State steps (Effect.setTracer and State.setTracer are the same).
+     * The tracer of the run (see traced) replaces it.
+     * @param {function(TraceEvent): void | null} tracer - null switches tracing off
+     * @returns {function(TraceEvent): void | null} the previous global tracer
+     * @throws {MonadError} tracer must be a function or null
+     */
+    static setTracer(tracer) {
+        if (tracer !== null) { panicIfNotFunction(tracer, 'static LMonad.setTracer') }
+        const previous = globalTracer;
+        globalTracer = tracer;
+        return previous
+    }
+
+    /**
+     * Built-in tracer: writes a line for the end of every step (method, label, outcome, result and duration).
+     * @param {{log: function(string): void}} [logger] - DEFAULT console
+     * @returns {function(TraceEvent): void}
+     */
+    static consoleTracer(logger=console) {
+        return event => { if (event.type === 'end') { logger.log(describeTraceEvent(event)) } }
+    }
+
+    /**
+     * Built-in tracer for tests: collects the events into its "events" array, "clear()" empties it.
+     * @returns {function(TraceEvent): void & {events: Array<TraceEvent>, clear: function(): void}}
+     */
+    static traceCollector() {
+        const collector = event => { collector.events.push(event) };
+        collector.events = [];
+        collector.clear = () => { collector.events = [] };
+        return collector
+    }
 }
 
 const isMonadError = err => Boolean(err && err[E_BRAND]);
@@ -76,6 +250,227 @@ const unwrapSMonad = m => m.result();
 const isLMonad = v => Boolean(v && v[L_BRAND]);
 const identical = val => val;
 
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/**
+ * Pairs every item of the first list with its own item of the second one (the order does not matter).
+ * @param {Array} items
+ * @param {Array} others
+ * @param {function(*, *): boolean} same
+ * @returns {boolean}
+ */
+function matchUnordered(items, others, same) {
+    const rest = [...others];
+    return items.every(item => {
+        const index = rest.findIndex(other => same(item, other));
+        if (index < 0) { return false }
+        rest.splice(index, 1);
+        return true
+    })
+}
+
+/**
+ * Structural comparison of plain data and nested SMonads. Other objects are compared by own enumerable properties
+ * if they have the same prototype. Primitives are compared like Map keys (NaN equals NaN, 0 equals -0),
+ * Set items and Map keys - by content. Cyclic structures are supported.
+ * @param {*} a
+ * @param {*} b
+ * @param {Map<Object, Object>} [seen] - pairs already under comparison
+ * @returns {boolean}
+ */
+function deepEqual(a, b, seen=new Map()) {
+    if (a === b || Object.is(a, b)) { return true }
+    if (isSMonad(a) || isSMonad(b)) {
+        return isSMonad(a) && isSMonad(b) && a.constructor === b.constructor && deepEqual(a._value, b._value, seen)
+    }
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') { return false }
+    if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) { return false }
+    if (seen.get(a) === b) { return true }
+    seen.set(a, b);
+    if (a instanceof Date) { return a.getTime() === b.getTime() }
+    if (a instanceof Error) { return a.name === b.name && a.message === b.message && deepEqual(a.cause, b.cause, seen) }
+    if (Array.isArray(a)) { return a.length === b.length && a.every((item, i) => deepEqual(item, b[i], seen)) }
+    // candidates are compared with a copy of seen: a failed attempt must not leave its pairs
+    const attempt = (x, y) => deepEqual(x, y, new Map(seen));
+    if (a instanceof Map) {
+        return a.size === b.size && matchUnordered([...a], [...b], ([k1, v1], [k2, v2]) => attempt(k1, k2) && attempt(v1, v2))
+    }
+    if (a instanceof Set) { return a.size === b.size && matchUnordered([...a], [...b], attempt) }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => hasOwn(b, key) && deepEqual(a[key], b[key], seen))
+}
+
+const identityIds = new WeakMap();
+let lastIdentityId = 0;
+
+/** @returns {number} id of a function or an object within the current session */
+function identityId(value) {
+    if (!identityIds.has(value)) { identityIds.set(value, ++lastIdentityId) }
+    return identityIds.get(value)
+}
+
+/**
+ * Canonical string of the structure: deepEqual values give equal strings.
+ * @param {*} value
+ * @param {Set<Object>} [seen] - objects on the current path (for cyclic structures)
+ * @returns {string}
+ */
+function canonicalString(value, seen=new Set()) {
+    if (isSMonad(value)) { return `${variantOf(value)}(${canonicalString(value._value, seen)})` }
+    if (value === null) { return 'null' }
+    if (typeof value === 'string') { return JSON.stringify(value) }
+    if (typeof value === 'function') { return `function#${identityId(value)}` }
+    if (typeof value !== 'object') { return `${typeof value}:${String(value)}` }
+    if (seen.has(value)) { return '<cycle>' }
+    seen.add(value);
+    try {
+        const nested = item => canonicalString(item, seen);
+        if (value instanceof Date) { return `Date(${value.getTime()})` }
+        if (value instanceof Error) { return `${value.name}(${JSON.stringify(value.message)})` }
+        if (Array.isArray(value)) { return `[${value.map(nested).join(',')}]` }
+        if (value instanceof Map) { return `Map{${[...value].map(([k, v]) => `${nested(k)}=>${nested(v)}`).sort().join(',')}}` }
+        if (value instanceof Set) { return `Set{${[...value].map(nested).sort().join(',')}}` }
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${nested(value[key])}`).join(',')}}`
+    } finally {
+        seen.delete(value);
+    }
+}
+
+const INSPECT_DEPTH = 4;
+
+/**
+ * Readable representation of the value for toString: strings are quoted, arrays and objects are expanded,
+ * nested monads are printed by their toString.
+ * @param {*} value
+ * @param {number} [depth] - objects deeper than INSPECT_DEPTH are shortened to [Object]/[Array]
+ * @param {Set<Object>} [seen] - objects on the current path (for cyclic structures)
+ * @returns {string}
+ */
+function inspectValue(value, depth=0, seen=new Set()) {
+    if (isSMonad(value)) {
+        return value.isNothing() ? 'Nothing()' : `${variantOf(value)}(${inspectValue(value._value, depth + 1, seen)})`
+    }
+    if (isMonad(value)) { return value.toString() }
+    if (typeof value === 'string') { return JSON.stringify(value) }
+    if (typeof value === 'function') { return `[Function${value.name ? ` ${value.name}` : ''}]` }
+    if (typeof value === 'bigint') { return `${value}n` }
+    if (value === null || typeof value !== 'object') { return String(value) }
+    if (value instanceof Error) { return `${value.name}: ${value.message}` }
+    if (value instanceof Date) { return isNaN(value) ? 'Invalid Date' : value.toISOString() }
+    if (seen.has(value)) { return '[Circular]' }
+    if (depth > INSPECT_DEPTH) { return Array.isArray(value) ? '[Array]' : '[Object]' }
+    seen.add(value);
+    try {
+        const nested = item => inspectValue(item, depth + 1, seen);
+        if (Array.isArray(value)) { return `[${value.map(nested).join(', ')}]` }
+        if (value instanceof Map) { return `Map(${[...value].map(([k, v]) => `${nested(k)} => ${nested(v)}`).join(', ')})` }
+        if (value instanceof Set) { return `Set(${[...value].map(nested).join(', ')})` }
+        const keys = Object.keys(value);
+        const name = (Object.getPrototypeOf(value)?.constructor?.name ?? 'Object');
+        const prefix = (name === 'Object') ? '' : `${name} `;
+        if (keys.length === 0) { return `${prefix}{}` }
+        const keyName = key => /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+        return `${prefix}{ ${keys.map(key => `${keyName(key)}: ${nested(value[key])}`).join(', ')} }`
+    } finally {
+        seen.delete(value);
+    }
+}
+
+/** @returns {number} 32-bit FNV-1a hash of the string */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0
+}
+
+/** @returns {string} name of the concrete class of SMonad, independent of minification */
+function variantOf(container) {
+    if (container.isSuccess()) { return 'Success' }
+    if (container.isFail()) { return 'Fail' }
+    if (container.isJust()) { return 'Just' }
+    if (container.isNothing()) { return 'Nothing' }
+    if (container.isValid()) { return 'Valid' }
+    if (container.isInvalid()) { return 'Invalid' }
+    return container.constructor.name
+}
+
+const JSON_TAG = '$monad';
+const JSON_ERROR_TAG = '$error';
+
+/** @returns {Object} JSON-friendly representation of Error: name, message, stack, cause and errors (AggregateError) */
+function errorToJSON(error) {
+    const json = { [JSON_ERROR_TAG]: error.name, message: error.message, stack: error.stack };
+    if ('cause' in error) { json.cause = valueToJSON(error.cause) }
+    if (Array.isArray(error.errors)) { json.errors = valueToJSON(error.errors) }
+    return json
+}
+
+/** @returns {Error} rebuilt error, standard error classes (TypeError, RangeError...) are restored */
+function errorFromJSON(json) {
+    const name = json[JSON_ERROR_TAG];
+    const ErrorClass = (typeof globalThis[name] === 'function' && globalThis[name].prototype instanceof Error) ? globalThis[name] : Error;
+    // AggregateError takes the list of errors first and the message second
+    const args = (ErrorClass === globalThis.AggregateError) ? [json.errors ?? [], json.message] : [json.message];
+    const error = new ErrorClass(...args);
+    if (error.name !== name) { error.name = name }
+    if (json.stack !== undefined) { error.stack = json.stack }
+    if ('cause' in json) { error.cause = json.cause }
+    return error
+}
+
+/**
+ * @param {*} value
+ * @param {Set<Object>} [seen] - objects on the current path: cyclic values are left as is (JSON.stringify reports them)
+ * @returns {*} value with Error instances replaced by their JSON representation, arrays and plain objects are copied recursively
+ */
+function valueToJSON(value, seen=new Set()) {
+    if (value instanceof Error) { return errorToJSON(value) }
+    if (value === null || typeof value !== 'object' || isSMonad(value) || seen.has(value)) { return value }
+    const proto = Object.getPrototypeOf(value);
+    if (!Array.isArray(value) && proto !== Object.prototype && proto !== null) { return value }
+    seen.add(value);
+    try {
+        const nested = item => valueToJSON(item, seen);
+        return Array.isArray(value)
+            ? value.map(nested)
+            : Object.fromEntries(Object.entries(value).map(([key, val]) => [key, nested(val)]))
+    } finally {
+        seen.delete(value);
+    }
+}
+
+/**
+ * Rebuilds a tagged object (SMonad or Error) produced by toJSON. Nested values must be already revived.
+ * @returns {*} SMonad, Error or the value as is
+ * @throws {MonadError} - unknown SMonad tag
+ */
+function reviveTagged(value) {
+    if (value === null || typeof value !== 'object') { return value }
+    if (typeof value[JSON_ERROR_TAG] === 'string') { return errorFromJSON(value) }
+    if (!hasOwn(value, JSON_TAG)) { return value }
+    switch (value[JSON_TAG]) {
+        case 'Success': return new Success(value.value)
+        case 'Fail': return new Fail(value.value)
+        case 'Just': return new Just(value.value)
+        case 'Nothing': return new Nothing()
+        case 'Valid': return new Valid(value.value)
+        case 'Invalid': return new Invalid(value.value)
+        default: throw new MonadError(`SMonad.fromJSON - unknown type of SMonad: ${value[JSON_TAG]}`)
+    }
+}
+
+/** @returns {*} parsed JSON with all tagged objects revived recursively (bottom-up as JSON.parse does) */
+function reviveDeep(value) {
+    if (value === null || typeof value !== 'object') { return value }
+    const revived = Array.isArray(value)
+        ? value.map(reviveDeep)
+        : Object.fromEntries(Object.entries(value).map(([key, val]) => [key, reviveDeep(val)]));
+    return reviveTagged(revived)
+}
+
 /** 
  * @returns {void}
  * @throws {MonadError} - throws if value is Promise. Method for concrete definition.
@@ -148,9 +543,91 @@ function panicOnAnotherLazyMonad(value, method) {
     } 
 }
 
+/**
+ * @returns {void}
+ * @throws {MonadError} - throws if value is not iterable. Method for concrete definition.
+ */
+function panicIfNotIterable(value, method) {
+    if (value === null || value === undefined || typeof value[Symbol.iterator] !== 'function') {
+        throw new MonadError(`${method} - requires an iterable (for example, array).`)
+    }
+}
+
+/**
+ * @returns {void}
+ * @throws {MonadError} - throws if value is not an object. Method for concrete definition.
+ */
+function panicIfNotRecord(value, method) {
+    if (value === null || typeof value !== 'object') {
+        throw new MonadError(`${method} - requires an object (record).`)
+    }
+}
+
+/**
+ * Applies func to every item and collects the unwrapped results into an array.
+ * Stops at the first halted SMonad and returns it as is.
+ * @param {Iterable<*>} items
+ * @param {function(*, number): SMonad} func
+ * @param {typeof SMonad} Right - container for the collected values (Success or Just)
+ * @returns {SMonad}
+ * @throws {MonadError} - throws if func does not return SMonad. Method for concrete definition.
+ */
+function traverseIterable(items, func, Right, method) {
+    panicIfNotIterable(items, method);
+    panicIfNotFunction(func, method);
+    const values = [];
+    let index = 0;
+    for (const item of items) {
+        const res = func(item, index++);
+        panicOnChainViolation(res, method);
+        if (res.isHalt()) { return res }
+        values.push(unwrapSMonad(res));
+    }
+    return new Right(values)
+}
+
+/**
+ * Applies func to every own enumerable property and collects the unwrapped results into an object.
+ * Stops at the first halted SMonad and returns it as is.
+ * @param {Object<string, *>} record
+ * @param {function(*, string): SMonad} func
+ * @param {typeof SMonad} Right - container for the collected values (Success or Just)
+ * @returns {SMonad}
+ * @throws {MonadError} - throws if func does not return SMonad. Method for concrete definition.
+ */
+function traverseRecord(record, func, Right, method) {
+    panicIfNotRecord(record, method);
+    panicIfNotFunction(func, method);
+    const values = {};
+    for (const key of Object.keys(record)) {
+        const res = func(record[key], key);
+        panicOnChainViolation(res, method);
+        if (res.isHalt()) { return res }
+        values[key] = unwrapSMonad(res);
+    }
+    return new Right(values)
+}
+
+
+/**
+ * Calls the handler named after the variant of the container (or the default "_" handler).
+ * @param {string} variant - Success, Fail, Just, Nothing, Valid, Invalid or Value (for non-monadic results of Effect)
+ * @param {*} value - argument of the handler
+ * @param {Object<string, function(*): *>} cases
+ * @returns {*}
+ * @throws {MonadError} - throws if there is no handler for the variant. Method for concrete definition.
+ */
+function matchVariant(variant, value, cases, method) {
+    panicIfNotRecord(cases, method);
+    const handler = typeof cases[variant] === 'function' ? cases[variant] : cases._;
+    if (typeof handler !== 'function') {
+        throw new MonadError(`${method} - no handler for ${variant} and no default "_" handler`)
+    }
+    return handler(value)
+}
 
 /**
- * @extends {SMonad} 'Abstract subclass of simple monad(SMonad). But defines "try" method.'
+ * @extends {SMonad} 'Abstract subclass of simple monad(SMonad). But defines "try" method and combinators (all, traverse...).'
  */
 class Either extends SMonad {
     /** 
@@ -172,12 +649,90 @@ class Either extends SMonad {
         }
     }
 
+    /** 
+     * Executes the ASYNC (or SYNC) function with all errors being caught.
+     * @template E 
+     * @template V     
+     * @param {() => Promise<V> | V} testedFunc
+     * @returns {Promise<Fail<E>|Success<V>>}
+     * @throws {MonadError} - MonadError is not caught (the promise is rejected)
+     */
+    static async tryAsync(testedFunc) {
+        try {
+            return new Success(await testedFunc())
+        } catch(error) { 
+            if (isMonadError(error)) { throw error }
+            return new Fail(error)
+        }
+    }
+
+    /** 
+     * @template E 
+     * @template V     
+     * @param {Promise<V>} promise
+     * @returns {Promise<Fail<E>|Success<V>>} Success with the resolved value or Fail with the reason of rejection
+     */
+    static async fromPromise(promise) {
+        try {
+            return new Success(await promise)
+        } catch(error) { 
+            if (isMonadError(error)) { throw error }
+            return new Fail(error)
+        }
+    }
+
+    /**
+     * Collects values of SMonads into one container. Either and Maybe may be mixed.
+     * Stops at the first halted SMonad (Fail/Nothing) and returns it.
+     * @param {Iterable<SMonad>} containers
+     * @returns {Success<Array<*>>|SMonad}
+     * @throws {MonadError} - if some element is not SMonad
+     */
+    static all(containers) { return traverseIterable(containers, identical, Success, 'Either.all') }
+
+    /**
+     * The same as all. Made for the generally accepted naming.
+     * @param {Iterable<SMonad>} containers
+     * @returns {Success<Array<*>>|SMonad}
+     * @throws {MonadError} - if some element is not SMonad
+     */
+    static sequence(containers) { return traverseIterable(containers, identical, Success, 'Either.sequence') }
+
+    /**
+     * Maps every item to SMonad and collects the values into one container.
+     * Stops at the first halted SMonad (Fail/Nothing) - func is not called for the rest of the items.
+     * @template T
+     * @param {Iterable<T>} items
+     * @param {function(T, number): SMonad} func
+     * @returns {Success<Array<*>>|SMonad}
+     * @throws {MonadError} - if func does not return SMonad
+     */
+    static traverse(items, func) { return traverseIterable(items, func, Success, 'Either.traverse') }
+
+    /**
+     * Record variant of all: {a: SMonad, b: SMonad} => Success({a: value, b: value}).
+     * @param {Object<string, SMonad>} record
+     * @returns {Success<Object<string, *>>|SMonad}
+     * @throws {MonadError} - if some property is not SMonad
+     */
+    static allRecord(record) { return traverseRecord(record, identical, Success, 'Either.allRecord') }
+
+    /**
+     * Record variant of traverse. Func receives the value and the key of the property.
+     * @template T
+     * @param {Object<string, T>} record
+     * @param {function(T, string): SMonad} func
+     * @returns {Success<Object<string, *>>|SMonad}
+     * @throws {MonadError} - if func does not return SMonad
+     */
+    static traverseRecord(record, func) { return traverseRecord(record, func, Success, 'Either.traverseRecord') }
+
     constructor(value) { super(value) }
 }
 
 
 /**
- * @extends {SMonad} 'Abstract subclass of simple monad(SMonad). But defines "fromNullable" method.'
+ * @extends {SMonad} 'Abstract subclass of simple monad(SMonad). But defines "fromNullable" method and combinators (all, traverse...).'
  */
 class Maybe extends SMonad {
     /** 
@@ -193,6 +748,70 @@ class Maybe extends SMonad {
         return new Just(value)
     }     
 
+    /** 
+     * Resolved value is treated like in fromNullable, rejected promise gives Nothing.
+     * @template V    
+     * @param {Promise<V>} promise 
+     * @param {(value: V) => boolean} [treatAsNull]
+     * @returns {Promise<Nothing|Just<V>>}
+     */
+    static async fromPromise(promise, treatAsNull=null) {
+        let value;
+        try {
+            value = await promise
+        } catch(error) { 
+            if (isMonadError(error)) { throw error }
+            return new Nothing()
+        }
+        return Maybe.fromNullable(value, treatAsNull)
+    }
+
+    /**
+     * Collects values of SMonads into one container. Either and Maybe may be mixed.
+     * Stops at the first halted SMonad (Fail/Nothing) and returns it.
+     * @param {Iterable<SMonad>} containers
+     * @returns {Just<Array<*>>|SMonad}
+     * @throws {MonadError} - if some element is not SMonad
+     */
+    static all(containers) { return traverseIterable(containers, identical, Just, 'Maybe.all') }
+
+    /**
+     * The same as all. Made for the generally accepted naming.
+     * @param {Iterable<SMonad>} containers
+     * @returns {Just<Array<*>>|SMonad}
+     * @throws {MonadError} - if some element is not SMonad
+     */
+    static sequence(containers) { return traverseIterable(containers, identical, Just, 'Maybe.sequence') }
+
+    /**
+     * Maps every item to SMonad and collects the values into one container.
+     * Stops at the first halted SMonad (Fail/Nothing) - func is not called for the rest of the items.
+     * @template T
+     * @param {Iterable<T>} items
+     * @param {function(T, number): SMonad} func
+     * @returns {Just<Array<*>>|SMonad}
+     * @throws {MonadError} - if func does not return SMonad
+     */
+    static traverse(items, func) { return traverseIterable(items, func, Just, 'Maybe.traverse') }
+
+    /**
+     * Record variant of all: {a: SMonad, b: SMonad} => Just({a: value, b: value}).
+     * @param {Object<string, SMonad>} record
+     * @returns {Just<Object<string, *>>|SMonad}
+     * @throws {MonadError} - if some property is not SMonad
+     */
+    static allRecord(record) { return traverseRecord(record, identical, Just, 'Maybe.allRecord') }
+
+    /**
+     * Record variant of traverse. Func receives the value and the key of the property.
+     * @template T
+     * @param {Object<string, T>} record
+     * @param {function(T, string): SMonad} func
+     * @returns {Just<Object<string, *>>|SMonad}
+     * @throws {MonadError} - if func does not return SMonad
+     */
+    static traverseRecord(record, func) { return traverseRecord(record, func, Just, 'Maybe.traverseRecord') }
+
     constructor(value) { super(value) }
 }
 
@@ -280,6 +899,50 @@ class Success extends Either {
         return valueContainer.constructor.of(res)  
     }
 
+    /**
+     * @template R
+     * @param {function(*): R} _
+     * @returns {Success<A>} Transforms the error of Fail. Does nothing here
+    */
+    mapFail(_) { return this }
+
+    /**
+     * @template R1
+     * @template R2
+     * @param {function(A): R1} onSuccess
+     * @param {function(*): R2} _
+     * @returns {Success<R1>} The same as map for Success
+     * @throws {MonadError} 'Improper use of "bimap" method - function must NOT return SMonad'
+    */
+    bimap(onSuccess, _) {
+        const res = onSuccess(this._value);
+        panicOnMapViolation(res, 'Success.bimap');
+        return new Success(res)
+    }
+
+    /** @returns {Fail<A>} the value becomes the error */
+    swap() { return new Fail(this._value) }
+
+    /**
+     * @param {function(*): *} _
+     * @returns {Success<A>} Side effect for the error of Fail. Does nothing here
+    */
+    tapFail(_) { return this }
+
+    /**
+     * @template E
+     * @param {function(A): boolean} predicate
+     * @param {function(A): E} onFalse - creates the error from the value
+     * @returns {Success<A>|Fail<E>}
+     * @throws {MonadError} 'Improper use of "filterOrFail" method - function must NOT return SMonad'
+    */
+    filterOrFail(predicate, onFalse) {
+        if (predicate(this._value)) { return this }
+        const error = onFalse(this._value);
+        panicOnMapViolation(error, 'Success.filterOrFail');
+        return new Fail(error)
+    }
+
     /** @returns {true} */
     isRight() { return true }   
 
@@ -295,6 +958,12 @@ class Success extends Either {
     /** @returns {false} for point-by-point introspection */
     isNothing() { return false }
 
+    /** @returns {false} for point-by-point introspection */
+    isValid() { return false }
+
+    /** @returns {false} for point-by-point introspection */
+    isInvalid() { return false }
+
     /**
      * @template V
      * @param {V} _
@@ -305,6 +974,15 @@ class Success extends Either {
     /** @returns {A} */
     result() { return this._value }
 
+    /**
+     * Calls the handler of the concrete variant: cases.Success(value) or the default cases._(value).
+     * @template R
+     * @param {Object<string, function(*): R>} cases - handlers named after the variants (Success, Fail, Just, Nothing, Valid, Invalid) and the default "_"
+     * @returns {R}
+     * @throws {MonadError} if there is no handler for Success and no default "_" handler
+     */
+    match(cases) { return matchVariant('Success', this._value, cases, 'Success.match') }
+
     /**
      * @template R1
      * @template R2
@@ -315,7 +993,10 @@ class Success extends Either {
      */
     fold(onSuccess, onFail) { return onSuccess(this._value) }
 
-    toString() { return `Success(${this._value})` }
+    /** @returns {Promise<A>} resolved with the value */
+    toPromise() { return Promise.resolve(this._value) }
+
+    toString() { return `Success(${inspectValue(this._value)})` }
 }
 
 
@@ -392,6 +1073,49 @@ class Fail extends Either {
      */
     ap(_) { return this }   
 
+    /**
+     * Transforms the error, but does NOT recover (unlike onFailMap).
+     * @template R
+     * @param {function(E): R} func
+     * @returns {Fail<R>}
+     * @throws {MonadError} 'Improper use of "mapFail" method - function must NOT return SMonad'
+    */
+    mapFail(func) {
+        const res = func(this._value);
+        panicOnMapViolation(res, 'Fail.mapFail');
+        return new Fail(res)
+    }
+
+    /**
+     * @template R1
+     * @template R2
+     * @param {function(*): R1} _
+     * @param {function(E): R2} onFail
+     * @returns {Fail<R2>} The same as mapFail for Fail
+     * @throws {MonadError} 'Improper use of "bimap" method - function must NOT return SMonad'
+    */
+    bimap(_, onFail) {
+        const res = onFail(this._value);
+        panicOnMapViolation(res, 'Fail.bimap');
+        return new Fail(res)
+    }
+
+    /** @returns {Success<E>} the error becomes the value */
+    swap() { return new Success(this._value) }
+
+    /**
+     * @param {function(E): *} func
+     * @returns {Fail<E>} Side effect for the error, the result of func is ignored
+    */
+    tapFail(func) { func(this._value); return this }
+
+    /**
+     * @param {function(*): boolean} _
+     * @param {function(*): *} __
+     * @returns {Fail<E>}
+    */
+    filterOrFail(_, __) { return this }
+
     /** @returns {true} */
     isHalt() { return true }
 
@@ -407,6 +1131,12 @@ class Fail extends Either {
     /** @returns {false} for point-by-point introspection */
     isNothing() { return false }
 
+    /** @returns {false} for point-by-point introspection */
+    isValid() { return false }
+
+    /** @returns {false} for point-by-point introspection */
+    isInvalid() { return false }
+
     /** 
      * @template V    
      * @param {V} value
@@ -418,8 +1148,17 @@ class Fail extends Either {
     result() { throw new MonadError("Cannot extract result from the Fail container") }
 
     /**
-     * @template A
-     * @template R1
+     * Calls the handler of the concrete variant: cases.Fail(error) or the default cases._(error).
+     * @template R
+     * @param {Object<string, function(*): R>} cases - handlers named after the variants (Success, Fail, Just, Nothing, Valid, Invalid) and the default "_"
+     * @returns {R}
+     * @throws {MonadError} if there is no handler for Fail and no default "_" handler
+     */
+    match(cases) { return matchVariant('Fail', this._value, cases, 'Fail.match') }
+
+    /**
+     * @template A
+     * @template R1
      * @template R2
      * @param {function(A): R1} onSuccess 
      * @param {function(E): R2} onFail      
@@ -427,7 +1166,10 @@ class Fail extends Either {
      */
     fold(onSuccess, onFail) { return onFail(this._value) }
 
-    toString() { return `Fail(${this._value})` }
+    /** @returns {Promise<never>} rejected with the value of Fail */
+    toPromise() { return Promise.reject(this._value) }
+
+    toString() { return `Fail(${inspectValue(this._value)})` }
 }
 
 
@@ -514,6 +1256,56 @@ class Just extends Maybe {
         return valueContainer.constructor.of(res)  
     }
 
+    /**
+     * @template R
+     * @param {function(*): R} _
+     * @returns {Just<A>} Transforms the error of Fail.
+     * It's pointless here. Made for uniformity and the ability to mix different monads in one chain
+    */
+    mapFail(_) { return this }
+
+    /**
+     * @template R1
+     * @template R2
+     * @param {function(A): R1} onJust
+     * @param {function(*): R2} _
+     * @returns {Just<R1>} The same as map for Just
+     * @throws {MonadError} 'Improper use of "bimap" method - function must NOT return SMonad'
+    */
+    bimap(onJust, _) {
+        const res = onJust(this._value);
+        panicOnMapViolation(res, 'Just.bimap');
+        return new Just(res)
+    }
+
+    /**
+     * @returns {Just<A>} Maybe has no error side to swap with.
+     * It's pointless here. Made for uniformity and the ability to mix different monads in one chain
+    */
+    swap() { return this }
+
+    /**
+     * @param {function(*): *} _
+     * @returns {Just<A>} Side effect for the error of Fail.
+     * It's pointless here. Made for uniformity and the ability to mix different monads in one chain
+    */
+    tapFail(_) { return this }
+
+    /**
+     * Switches to Either if the value does not satisfy the predicate.
+     * @template E
+     * @param {function(A): boolean} predicate
+     * @param {function(A): E} onFalse - creates the error from the value
+     * @returns {Just<A>|Fail<E>}
+     * @throws {MonadError} 'Improper use of "filterOrFail" method - function must NOT return SMonad'
+    */
+    filterOrFail(predicate, onFalse) {
+        if (predicate(this._value)) { return this }
+        const error = onFalse(this._value);
+        panicOnMapViolation(error, 'Just.filterOrFail');
+        return new Fail(error)
+    }
+
     /** @returns {true} */
     isRight() { return true }    
 
@@ -529,6 +1321,12 @@ class Just extends Maybe {
     /** @returns {false} for point-by-point introspection */
     isNothing() { return false }
 
+    /** @returns {false} for point-by-point introspection */
+    isValid() { return false }
+
+    /** @returns {false} for point-by-point introspection */
+    isInvalid() { return false }
+
     /**
      * @template V
      * @param {V} _
@@ -539,6 +1337,15 @@ class Just extends Maybe {
     /** @returns {A} */
     result() { return this._value }
 
+    /**
+     * Calls the handler of the concrete variant: cases.Just(value) or the default cases._(value).
+     * @template R
+     * @param {Object<string, function(*): R>} cases - handlers named after the variants (Success, Fail, Just, Nothing, Valid, Invalid) and the default "_"
+     * @returns {R}
+     * @throws {MonadError} if there is no handler for Just and no default "_" handler
+     */
+    match(cases) { return matchVariant('Just', this._value, cases, 'Just.match') }
+
     /**
      * @template R1
      * @template R2     
@@ -548,7 +1355,10 @@ class Just extends Maybe {
      */
     fold(onJust, onNothing) { return onJust(this._value) }
 
-    toString() { return `Just(${this._value})` }
+    /** @returns {Promise<A>} resolved with the value */
+    toPromise() { return Promise.resolve(this._value) }
+
+    toString() { return `Just(${inspectValue(this._value)})` }
 }
 
 
@@ -625,6 +1435,42 @@ class Nothing extends Maybe {
      */
     ap(_) { return this }    
 
+    /**
+     * @template R
+     * @param {function(*): R} _
+     * @returns {Nothing} Transforms the error of Fail. Nothing has no error.
+     * It's pointless here. Made for uniformity and the ability to mix different monads in one chain
+    */
+    mapFail(_) { return this }
+
+    /**
+     * @param {function(*): *} _
+     * @param {function(*): *} __
+     * @returns {Nothing} Nothing has no value and no error.
+     * It's pointless here. Made for uniformity and the ability to mix different monads in one chain
+    */
+    bimap(_, __) { return this }
+
+    /**
+     * @returns {Nothing} Maybe has no error side to swap with.
+     * It's pointless here. Made for uniformity and the ability to mix different monads in one chain
+    */
+    swap() { return this }
+
+    /**
+     * @param {function(*): *} _
+     * @returns {Nothing} Side effect for the error of Fail. Nothing has no error.
+     * It's pointless here. Made for uniformity and the ability to mix different monads in one chain
+    */
+    tapFail(_) { return this }
+
+    /**
+     * @param {function(*): boolean} _
+     * @param {function(*): *} __
+     * @returns {Nothing}
+    */
+    filterOrFail(_, __) { return this }
+
     /** @returns {true} */
     isHalt() { return true }
 
@@ -640,6 +1486,12 @@ class Nothing extends Maybe {
     /** @returns {true} */
     isNothing() { return true }
 
+    /** @returns {false} */
+    isValid() { return false }
+
+    /** @returns {false} */
+    isInvalid() { return false }
+
     /** 
      * @template V    
      * @param {V} value
@@ -650,6 +1502,15 @@ class Nothing extends Maybe {
     /** @throws {MonadError} No result inside the Nothing container */
     result() { throw new MonadError("Cannot extract result from the Nothing container") }
 
+    /**
+     * Calls the handler of the concrete variant: cases.Nothing() or the default cases._().
+     * @template R
+     * @param {Object<string, function(*): R>} cases - handlers named after the variants (Success, Fail, Just, Nothing, Valid, Invalid) and the default "_"
+     * @returns {R}
+     * @throws {MonadError} if there is no handler for Nothing and no default "_" handler
+     */
+    match(cases) { return matchVariant('Nothing', undefined, cases, 'Nothing.match') }
+
     /**
      * @template A
      * @template R1
@@ -660,510 +1521,3253 @@ class Nothing extends Maybe {
      */
     fold(onJust, onNothing) { return onNothing() }
 
+    /** @returns {Promise<never>} rejected with NothingError */
+    toPromise() { return Promise.reject(new NothingError()) }
+
     toString() { return 'Nothing()' }
 }
 
 
 /**
- * @template F
- * @extends {LMonad}
- * Works with functions that return both simple values and instances of simple monads(SMonad).
- * Async functions are possible.
+ * @returns {Array<*>} errors carried by the halted SMonad: Invalid - all its errors, Fail - its value, Nothing - none.
  */
-class Effect extends LMonad {
-    /**     
-     * @param {function(): R} effect
-     * @returns {Effect<F>}
-     * @throws {MonadError} Effect requires a function 
-     */
-    static of(effect) {
-        panicIfNotFunction(effect, 'static Effect.of'); 
-        return new Effect(effect)
-    }
-
-    /**     
-     * @param {function(): R} effect
-     * @throws {MonadError} Effect requires a function 
-     */
-    constructor(effect) {        
-        panicIfNotFunction(effect, 'Effect.constructor');
-        super(effect);        
-    }
-
-    /**      
-     * @param {function(R): Effect<F>} func 
-     * @returns {Effect<F>}    
-     * @throws {MonadError} 'Improper use of "chain" method'
-     */
-    chain(func) {        
-        /** @type {function(): R} */       
-        const effectNew = () => {            
-            let out = this._value();
-            panicOnPromise(out, 'Effect.chain');
-            if (isHaltSMonad(out)) { return out } 
-            if (isRightSMonad(out)) { out = unwrapSMonad(out) }                     
-            const resultEff = func(out);
-            panicOnAnotherInstance.call(this, resultEff, 'Effect.chain');            
-            const result = resultEff._value()  
-            if (isRightSMonad(result)) { return unwrapSMonad(result) } 
-            return result     
-        }
-        return new Effect(effectNew)
-    } 
-    
-    /**    
-     * @param {function(R): Promise<Effect<F>>} asyncFunc
-     * @returns {Effect<function(): Promise<R>>}
-     * @throws {MonadError} 'Improper use of "chainAsync" method'
-     */
-    chainAsync(asyncFunc) {        
-        /** @type {function(): Promise<R>} */       
-        const effectNew = async () => {            
-            let out = await this._value();                       
-            if (isHaltSMonad(out)) { return out } 
-            if (isRightSMonad(out)) { out = unwrapSMonad(out) }             
-            const resultEff = await asyncFunc(out); 
-            panicOnAnotherInstance.call(this, resultEff, 'Effect.chainAsync'); 
-            const result = await resultEff._value();          
-            if (isRightSMonad(result)) { return unwrapSMonad(result) } 
-            return result     
-        }
-        return new Effect(effectNew)
-    }
-
-    /**       
-     * @param {function(R): R} func
-     * @returns {Effect<() => R>}
-     * @throws {MonadError} 'Improper use of "map" method'
-     */
-    map(func) {        
-        /** @type {function(): R} */
-        const effectNew = () => {
-            let out = this._value();
-            panicOnPromise(out, 'Effect.map');
-            if (isHaltSMonad(out)) { return out } 
-            if (isRightSMonad(out)) { out = unwrapSMonad(out) }              
-            const result = func(out);
-            panicOnPromise(result, 'Effect.map');
-            panicOnLazyMapViolation(result, 'Effect.map');           
-            if (isRightSMonad(result)) { return unwrapSMonad(result) } 
-            return result
-        }
-        return new Effect(effectNew)
-    }
+function haltErrors(container) {
+    if (container.isInvalid()) { return container._value }
+    if (container.isFail()) { return [container._value] }
+    return []
+}
 
-    /**      
-     * @param {function(R): Promise<R>} asyncFunc
-     * @returns {Effect<function(): Promise<R>>}
-     * @throws {MonadError} 'Improper use of "mapAsync" method'
-     */
-    mapAsync(asyncFunc) {        
-        /** @type {function(): Promise<R>} */
-        const effectNew = async () => {
-            let out = await this._value();            
-            if (isHaltSMonad(out)) { return out } 
-            if (isRightSMonad(out)) { out = unwrapSMonad(out) }             
-            const result = await asyncFunc(out);                                         
-            panicOnLazyMapViolation(result, 'Effect.mapAsync');
-            if (isRightSMonad(result)) { return unwrapSMonad(result) } 
-            return result
+/**
+ * Applies func to every item (or property for records) and accumulates errors of ALL halted SMonads.
+ * @param {Iterable<*>|Object<string, *>} items
+ * @param {function(*, (number|string)): SMonad} func
+ * @param {boolean} isRecord
+ * @returns {Valid<Array<*>|Object<string, *>>|Invalid}
+ * @throws {MonadError} - throws if func does not return SMonad. Method for concrete definition.
+ */
+function validateAll(items, func, isRecord, method) {
+    isRecord ? panicIfNotRecord(items, method) : panicIfNotIterable(items, method);
+    panicIfNotFunction(func, method);
+    const entries = isRecord ? Object.entries(items) : Array.from(items, (item, index) => [index, item]);
+    const values = isRecord ? {} : [];
+    const errors = [];
+    let halted = false;
+    for (const [key, item] of entries) {
+        const res = func(item, key);
+        panicOnChainViolation(res, method);
+        if (res.isHalt()) {
+            halted = true;
+            errors.push(...haltErrors(res));
+        } else {
+            values[key] = unwrapSMonad(res);
         }
-        return new Effect(effectNew)
     }
+    return halted ? new Invalid(errors) : new Valid(values)
+}
 
-    /** 
-     * Recover from errors (SYNC)
-     * @template E - type of error object
-     * @template R - type of non-monadic result        
-     * @param {function(E): R | Effect<F>} func
-     * @returns {Effect<() => R>}
-     * @throws {MonadError} 'Improper use of "catch" method'
-     */
-    catch(func) {
-        /** @type {function(): R} */
-        const effectNew = () => {
-            try {
-                const out = this._value();
-                panicOnPromise(out, 'Effect.catch');                
-                return out
-            } catch(err) { 
-                if (isMonadError(err)) { throw err }        
-                const result = func(err);
-                panicOnPromise(result, 'Effect.catch');                            
-                panicOnAnotherLazyMonad.call(this, result, 'Effect.catch');
-                if (result instanceof this.constructor) { return result._value() }
-                if (isRightSMonad(result)) { return unwrapSMonad(result) } 
-                return result
-            }
-        }
-        return new Effect(effectNew)    
-    }
 
-    /** 
-     * Recover from errors (ASYNC)
-     * @template E - type of error object
-     * @template R - type of non-monadic result       
-     * @param {function(E): Promise<R | Effect<F>>} func
-     * @returns {Effect<() => R>}
-     * @throws {MonadError} 'Improper use of "catchAsync" method'
+/**
+ * @extends {SMonad} 'Abstract subclass of simple monad(SMonad). Accumulates errors instead of short-circuiting in "ap" and "all".'
+ */
+class Validation extends SMonad {
+    /**
+     * Converts SMonad to Validation: Right containers - to Valid, Fail - to Invalid with one error,
+     * Nothing - to Invalid without errors, Validation is returned as is.
+     * @param {SMonad} container
+     * @returns {Valid<*>|Invalid}
+     * @throws {MonadError} - if container is not SMonad
      */
-    catchAsync(func) {
-        /** @type {function(): Promise<R>} */
-        const effectNew = async () => {
-            try {
-                return await this._value();              
-            } catch(err) { 
-                if (isMonadError(err)) { throw err }        
-                const result = await func(err);                                             
-                panicOnAnotherLazyMonad.call(this, result, 'Effect.catchAsync');
-                if (result instanceof this.constructor) { return await result._value() }
-                if (isRightSMonad(result)) { return unwrapSMonad(result) } 
-                return result
-            }
-        }
-        return new Effect(effectNew)    
+    static fromEither(container) {
+        panicOnChainViolation(container, 'Validation.fromEither');
+        if (container.isValid() || container.isInvalid()) { return container }
+        if (container.isHalt()) { return new Invalid(haltErrors(container)) }
+        return new Valid(unwrapSMonad(container))
     }
 
-    /**       
-     * @returns {R}
-     * @throws {MonadError}
+    /**
+     * Collects values of SMonads into Valid. Unlike Either.all does NOT stop at the first halted container:
+     * errors of all Invalid (and values of all Fail) containers are concatenated into one Invalid.
+     * @param {Iterable<SMonad>} containers
+     * @returns {Valid<Array<*>>|Invalid}
+     * @throws {MonadError} - if some element is not SMonad
      */
-    run() {
-        const result = this._value();
-        panicOnPromise(result, 'Effect.run');
-        return result
-    }
-
-    /** @returns {Promise<R>} */
-    async runAsync() {
-        return await this._value()
-    }
+    static all(containers) { return validateAll(containers, identical, false, 'Validation.all') }
 
     /**
-     * @template A
-     * @template E     
-     * @template R     
-     * @param {{onRight?: function(A):R, onHalt?: function(E):R, onValue?: function(*):R}} handlers
-     * Undefined properties are replaced by the identity function: val => val. 
-     * onRight, onHalt - used for results as SMonads(according to the results of the mandatory isRight and isHalt methods).
-     * onValue - used for results as simple values.
-     * @returns {R}
-     * @throws {MonadError} Effect - wrong type of the result or improper use of fold method.  
+     * Maps every item to SMonad and accumulates the values or ALL errors.
+     * @template T
+     * @param {Iterable<T>} items
+     * @param {function(T, number): SMonad} func
+     * @returns {Valid<Array<*>>|Invalid}
+     * @throws {MonadError} - if func does not return SMonad
      */
-    fold(handlers) {
-        let { onRight = identical, onHalt = identical, onValue = identical } = handlers;
-        const res = this._value();
-        panicOnPromise(res, 'Effect.fold');
-        panicOnLazyMapViolation(res, 'Effect.fold');
-        if (isSMonad(res)) { return res.fold(onRight, onHalt) }
-        else { return onValue(res) }
-    }
+    static traverse(items, func) { return validateAll(items, func, false, 'Validation.traverse') }
 
     /**
-     * @template A
-     * @template E     
-     * @template R     
-     * @param {{onRight?: function(A):R, onHalt?: function(E):R, onValue?: function(*):R}} handlers
-     * Undefined properties are replaced by the identity function: val => val. 
-     * onRight, onHalt - used for results as SMonads(according to the results of the mandatory isRight and isHalt methods).
-     * onValue - used for results as simple values.
-     * All handlers may be ASYNC FUNCTIONS
-     * @returns {Promise<R>}
-     * @throws {MonadError} Effect - wrong type of the result    
+     * Record variant of all: {a: SMonad, b: SMonad} => Valid({a: value, b: value}) or Invalid(all errors).
+     * @param {Object<string, SMonad>} record
+     * @returns {Valid<Object<string, *>>|Invalid}
+     * @throws {MonadError} - if some property is not SMonad
      */
-    async foldAsync(handlers) {
-        let { onRight = identical, onHalt = identical, onValue = identical } = handlers;
-        const res = await this._value();
-        panicOnLazyMapViolation(res, 'Effect.foldAsync');
-        if (isSMonad(res)) { return await res.fold(onRight, onHalt) }
-        else { return await onValue(res) }
-    }
+    static allRecord(record) { return validateAll(record, identical, true, 'Validation.allRecord') }
 
-    /**    
-     * @template V     
-     * @param {V} val   
-     * @returns {Effect<F>}     
+    /**
+     * Record variant of traverse. Func receives the value and the key of the property.
+     * @template T
+     * @param {Object<string, T>} record
+     * @param {function(T, string): SMonad} func
+     * @returns {Valid<Object<string, *>>|Invalid}
+     * @throws {MonadError} - if func does not return SMonad
      */
-    static pure(val) { return new Effect(() => val) }
+    static traverseRecord(record, func) { return validateAll(record, func, true, 'Validation.traverseRecord') }
 
-    toString() { return `Effect(${this._value})`}
+    constructor(value) { super(value) }
 }
 
 
-const CHAIN_MTD = "c"
-const MAP_MTD = "m"
-
 /** 
- * @template F
- * @extends {LMonad}
- * Works with functions like (S) => [V, S], where V - some value, S - your changeable state.
- * Async functions are possible.
+ * @template A 
+ * @extends {Validation}
  */
-class State extends LMonad {
-    /** 
-     * @template V 
-     * @template S   
-     * @param {function(S): [V, S]} runState
-     * @returns {State<F>}
-     * @throws {MonadError} State requires a function  
+class Valid extends Validation {
+    /**
+     * @param {A} value
+     * @returns {Valid<A>}
      */
-    static of(runState) {
-        panicIfNotFunction(runState, 'static State.of'); 
-        return new State(runState)
-    }
+    static of(value) { return new Valid(value) }    
 
-    /**   
-     * @template V 
-     * @template S 
-     * @param {function(S): [V, S] | Promise<[V, S]>} runState   
-     * @returns {State<function(S): [V, S]>}
-     * @throws {MonadError} State requires a function      
-     */
-    constructor(runState) {        
-        panicIfNotFunction(runState, 'State.constructor'); 
-        super(runState);        
-        this._iterStore = [];
+    /** @param {A} value */
+    constructor(value) { super(value) } 
+    
+    /**    
+     * @param {function(A): SMonad} func
+     * @returns {SMonad}
+     * @throws {MonadError} 'Improper use of "chain" method - function must return SMonad'
+    */
+    chain(func) {
+        const res = func(this._value);        
+        panicOnChainViolation(res, 'Valid.chain');        
+        return res        
     }
 
     /**
-     * @template V 
+     * @template R
+     * @param {function(A): R} func
+     * @returns {Valid<R>}
+     * @throws {MonadError} 'Improper use of "map" method - function must NOT return SMonad'
+    */
+    map(func) {
+        const res = func(this._value);        
+        panicOnMapViolation(res, 'Valid.map');               
+        return new Valid(res)
+    }
+
+    /**
+     * @template E
+     * @param {function(E): SMonad} _
+     * @returns {Valid<A>} An additional method for attempting recovery
+    */
+    onFailChain(_) { return this }  
+
+    /**
+     * @template E
+     * @template R
+     * @param {function(E): R} _
+     * @returns {Valid<A>} An additional method for attempting recovery
+    */
+    onFailMap(_) { return this }  
+    
+    /**     
+     * @param {function(): SMonad} _
+     * @returns {Valid<A>} An additional method for attempting recovery.
+     * It's pointless here. Made for uniformity and the ability to mix different monads in one chain
+    */
+    onNothingChain(_) { return this }  
+
+    /**     
+     * @template R
+     * @param {function(): R} _
+     * @returns {Valid<A>} An additional method for attempting recovery.
+     * It's pointless here. Made for uniformity and the ability to mix different monads in one chain
+    */
+    onNothingMap(_) { return this } 
+
+    /**     
+     * Applies a value enclosed in a container to function in the container.
+     * Mixing with Either and Maybe is possible.
+     * Monad of the argument defines monad of the result
+     * @param {SMonad} valueContainer
+     * @returns {SMonad} 
+     * @throws {MonadError} 
+     */
+    ap(valueContainer) {
+        panicIfNotFunction(this._value, 'Valid.ap');       
+        panicOnChainViolation(valueContainer, 'Valid.ap');       
+        if(valueContainer.isHalt()) { return valueContainer }                
+        const res = this._value(valueContainer._value);               
+        return valueContainer.constructor.of(res)  
+    }
+
+    /** @returns {Success<A>} */
+    toEither() { return new Success(this._value) }
+
+    /**
+     * @template R
+     * @param {function(*): R} _
+     * @returns {Valid<A>} Transforms the errors of Invalid. Does nothing here
+    */
+    mapFail(_) { return this }
+
+    /**
+     * @template R1
+     * @template R2
+     * @param {function(A): R1} onValid
+     * @param {function(*): R2} _
+     * @returns {Valid<R1>} The same as map for Valid
+     * @throws {MonadError} 'Improper use of "bimap" method - function must NOT return SMonad'
+    */
+    bimap(onValid, _) {
+        const res = onValid(this._value);
+        panicOnMapViolation(res, 'Valid.bimap');
+        return new Valid(res)
+    }
+
+    /** @returns {Invalid<A>} the value becomes the whole array of errors (a non-array value - a single error), see Invalid.swap */
+    swap() { return new Invalid(this._value) }
+
+    /**
+     * @param {function(*): *} _
+     * @returns {Valid<A>} Side effect for the errors of Invalid. Does nothing here
+    */
+    tapFail(_) { return this }
+
+    /**
+     * @template E
+     * @param {function(A): boolean} predicate
+     * @param {function(A): E} onFalse - creates the error from the value
+     * @returns {Valid<A>|Invalid<E>}
+     * @throws {MonadError} 'Improper use of "filterOrFail" method - function must NOT return SMonad'
+    */
+    filterOrFail(predicate, onFalse) {
+        if (predicate(this._value)) { return this }
+        const error = onFalse(this._value);
+        panicOnMapViolation(error, 'Valid.filterOrFail');
+        return new Invalid(error)
+    }
+
+    /** @returns {true} */
+    isRight() { return true }    
+
+    /** @returns {false} for point-by-point introspection */
+    isSuccess() { return false }
+
+    /** @returns {false} for point-by-point introspection */
+    isFail() { return false }
+
+    /** @returns {false} for point-by-point introspection */
+    isJust() { return false }
+
+    /** @returns {false} for point-by-point introspection */
+    isNothing() { return false }
+
+    /** @returns {true} for point-by-point introspection */
+    isValid() { return true }
+
+    /** @returns {false} for point-by-point introspection */
+    isInvalid() { return false }
+
+    /**
+     * @template V
+     * @param {V} _
+     * @returns {A}
+    */
+    getOrElse(_) { return this._value }    
+
+    /** @returns {A} */
+    result() { return this._value }
+
+    /**
+     * Calls the handler of the concrete variant: cases.Valid(value) or the default cases._(value).
+     * @template R
+     * @param {Object<string, function(*): R>} cases - handlers named after the variants (Success, Fail, Just, Nothing, Valid, Invalid) and the default "_"
+     * @returns {R}
+     * @throws {MonadError} if there is no handler for Valid and no default "_" handler
+     */
+    match(cases) { return matchVariant('Valid', this._value, cases, 'Valid.match') }
+
+    /**
+     * @template R1
+     * @template R2     
+     * @template E
+     * @param {function(A): R1} onValid     
+     * @param {function(Array<E>): R2} onInvalid 
+     * @returns {R1} 
+     */
+    fold(onValid, onInvalid) { return onValid(this._value) }
+
+    /** @returns {Promise<A>} resolved with the value */
+    toPromise() { return Promise.resolve(this._value) }
+
+    toString() { return `Valid(${inspectValue(this._value)})` }
+}
+
+
+/** 
+ * @template E 
+ * @extends {Validation}
+ * Always holds an array of errors.
+ */
+class Invalid extends Validation {
+    /**
+     * @param {E | Array<E>} errors - a single error is wrapped into an array
+     * @returns {Invalid<E>}
+     */
+    static of(errors) { return new Invalid(errors) }    
+
+    /** @param {E | Array<E>} errors - a single error is wrapped into an array */
+    constructor(errors) { super(Array.isArray(errors) ? [...errors] : [errors]) } 
+    
+    /**
+     * @param {function(*): SMonad} _
+     * @returns {Invalid<E>}
+    */
+    chain(_) { return this }
+
+    /**
+     * @template R
+     * @param {function(*): R} _
+     * @returns {Invalid<E>}
+    */
+    map(_) { return this }
+
+    /**
+     * @param {function(Array<E>): SMonad} func
+     * @returns {SMonad} An additional method for attempting recovery.
+     * @throws {MonadError} 'Improper use of "chain" method - function must return SMonad'
+    */
+    onFailChain(func) {
+        const res = func(this._value);
+        panicOnChainViolation(res, 'Invalid.onFailChain');
+        return res
+    }
+
+    /**
+     * @template R
+     * @param {function(Array<E>): R} func
+     * @returns {Valid<R>} An additional method for attempting recovery.
+     * @throws {MonadError} 'Improper use of "map" method - function must NOT return SMonad'
+    */
+    onFailMap(func) {
+        const res = func(this._value);
+        panicOnMapViolation(res, 'Invalid.onFailMap');
+        return new Valid(res)
+    } 
+    
+    /**     
+     * @param {function(): SMonad} _
+     * @returns {Invalid<E>} An additional method for attempting recovery.
+     * It's pointless here. Made for uniformity and the ability to mix different monads in one chain
+    */
+    onNothingChain(_) { return this } 
+    
+    /**     
+     * @template R
+     * @param {function(): R} _
+     * @returns {Invalid<E>} An additional method for attempting recovery.
+     * It's pointless here. Made for uniformity and the ability to mix different monads in one chain
+    */
+    onNothingMap(_) { return this } 
+
+    /**    
+     * Unlike Fail and Nothing, does NOT short-circuit: errors of the halted argument are appended.
+     * Invalid - all its errors, Fail - its value as one error, Nothing - no errors.
+     * @param {SMonad} valueContainer
+     * @returns {Invalid<E>}
+     * @throws {MonadError} 
+     */
+    ap(valueContainer) {
+        panicOnChainViolation(valueContainer, 'Invalid.ap');
+        if (!valueContainer.isHalt()) { return this }
+        return new Invalid([...this._value, ...haltErrors(valueContainer)])
+    }
+
+    /** @returns {Fail<Array<E>>} */
+    toEither() { return new Fail(this._value) }
+
+    /**
+     * Transforms the array of errors, but does NOT recover (unlike onFailMap).
+     * Like all fail-side methods of Invalid, func receives the WHOLE array of errors.
+     * @template R
+     * @param {function(Array<E>): R | Array<R>} func
+     * @returns {Invalid<R>} a single error is wrapped into an array
+     * @throws {MonadError} 'Improper use of "mapFail" method - function must NOT return SMonad'
+    */
+    mapFail(func) {
+        const errors = func(this._value);
+        panicOnMapViolation(errors, 'Invalid.mapFail');
+        return new Invalid(errors)
+    }
+
+    /**
+     * @template R1
+     * @template R2
+     * @param {function(*): R1} _
+     * @param {function(Array<E>): R2 | Array<R2>} onInvalid - receives the whole array of errors
+     * @returns {Invalid<R2>} The same as mapFail for Invalid
+     * @throws {MonadError} 'Improper use of "bimap" method - function must NOT return SMonad'
+    */
+    bimap(_, onInvalid) {
+        const errors = onInvalid(this._value);
+        panicOnMapViolation(errors, 'Invalid.bimap');
+        return new Invalid(errors)
+    }
+
+    /** @returns {Valid<Array<E>>} the whole array of errors becomes the value */
+    swap() { return new Valid(this._value) }
+
+    /**
+     * @param {function(Array<E>): *} func - receives the whole array of errors
+     * @returns {Invalid<E>} Side effect for the errors, the result of func is ignored
+    */
+    tapFail(func) { func(this._value); return this }
+
+    /**
+     * @param {function(*): boolean} _
+     * @param {function(*): *} __
+     * @returns {Invalid<E>}
+    */
+    filterOrFail(_, __) { return this }
+
+    /** @returns {true} */
+    isHalt() { return true }
+
+    /** @returns {false} for point-by-point introspection */
+    isSuccess() { return false } 
+
+    /** @returns {false} for point-by-point introspection */
+    isFail() { return false }
+
+    /** @returns {false} for point-by-point introspection */
+    isJust() { return false }
+
+    /** @returns {false} for point-by-point introspection */
+    isNothing() { return false }
+
+    /** @returns {false} for point-by-point introspection */
+    isValid() { return false }
+
+    /** @returns {true} for point-by-point introspection */
+    isInvalid() { return true }
+
+    /** 
+     * @template V    
+     * @param {V} value
+     * @returns {V}
+    */
+    getOrElse(value) { return value } 
+
+    /** @throws {MonadError} No result inside the Invalid container */
+    result() { throw new MonadError("Cannot extract result from the Invalid container") }
+
+    /**
+     * Calls the handler of the concrete variant: cases.Invalid(errors) or the default cases._(errors).
+     * @template R
+     * @param {Object<string, function(*): R>} cases - handlers named after the variants (Success, Fail, Just, Nothing, Valid, Invalid) and the default "_"
+     * @returns {R}
+     * @throws {MonadError} if there is no handler for Invalid and no default "_" handler
+     */
+    match(cases) { return matchVariant('Invalid', this._value, cases, 'Invalid.match') }
+
+    /**
+     * @template A
+     * @template R1
+     * @template R2
+     * @param {function(A): R1} onValid 
+     * @param {function(Array<E>): R2} onInvalid      
+     * @returns {R2} 
+     */
+    fold(onValid, onInvalid) { return onInvalid(this._value) }
+
+    /** @returns {Promise<never>} rejected with the array of errors */
+    toPromise() { return Promise.reject(this._value) }
+
+    toString() { return `Invalid(${inspectValue(this._value)})` }
+}
+
+
+/**
+ * @returns {void}
+ * @throws {MonadError} - throws if value is neither SMonad nor instance of Lazy class. Method for concrete definition.
+ */
+function panicOnGenYield(value, Lazy, method) {
+    if (!isSMonad(value) && !(value instanceof Lazy)) {
+        throw new MonadError(`${method} - improper use, yielded value must be SMonad or ${Lazy.name}`)
+    }
+}
+
+/**
+ * @returns {Iterator|AsyncIterator}
+ * @throws {MonadError} - throws if genFunc does not return an iterator. Method for concrete definition.
+ */
+function startGenerator(genFunc, method) {
+    const iterator = genFunc();
+    if (!iterator || typeof iterator.next !== 'function') {
+        throw new MonadError(`${method} - requires a generator function.`)
+    }
+    return iterator
+}
+
+/**
+ * Unwrapping rules of chain for the result of a yielded monad.
+ * @returns {[boolean, *]} [true, halted SMonad] or [false, unwrapped value]
+ */
+const bindResult = out => isHaltSMonad(out) ? [true, out] : [false, isRightSMonad(out) ? unwrapSMonad(out) : out];
+
+/**
+ * Drives SYNC generator of a lazy monad. Errors of bind are thrown into the generator at the yield point,
+ * except MonadError - it closes the generator and is rethrown.
+ * @param {Iterator} iterator
+ * @param {function(*): [boolean, *]} bind - runs the yielded monad: [true, halted SMonad] or [false, value to send back]
+ * @returns {[boolean, *]} [true, halted SMonad] if the generator was short-circuited, otherwise [false, returned value]
+ * @throws {MonadError}
+ */
+function driveGenerator(iterator, bind, method) {
+    let step = iterator.next();
+    panicOnPromise(step, method);
+    while (!step.done) {
+        let halted, out;
+        try {
+            [halted, out] = bind(step.value);
+        } catch(err) {
+            if (isMonadError(err)) { iterator.return?.(); throw err }
+            step = iterator.throw(err);
+            continue
+        }
+        if (halted) { iterator.return?.(); return [true, out] }
+        step = iterator.next(out);
+        panicOnPromise(step, method);
+    }
+    return [false, step.value]
+}
+
+/**
+ * ASYNC analog of driveGenerator. Works with both async and sync generators.
+ * @param {AsyncIterator|Iterator} iterator
+ * @param {function(*): Promise<[boolean, *]>} bind - runs the yielded monad: [true, halted SMonad] or [false, value to send back]
+ * @returns {Promise<[boolean, *]>}
+ * @throws {MonadError}
+ */
+async function driveGeneratorAsync(iterator, bind) {
+    let step = await iterator.next();
+    while (!step.done) {
+        let halted, out;
+        try {
+            [halted, out] = await bind(step.value);
+        } catch(err) {
+            if (isMonadError(err)) { await iterator.return?.(); throw err }
+            step = await iterator.throw(err);
+            continue
+        }
+        if (halted) { await iterator.return?.(); return [true, out] }
+        step = await iterator.next(out);
+    }
+    return [false, step.value]
+}
+
+/** @returns {boolean} true for iterators of async generators */
+const isAsyncIterator = it => typeof it[Symbol.asyncIterator] === 'function';
+
+
+const CHAIN_MTD = "c"
+const MAP_MTD = "m"
+const CATCH_MTD = "e"
+const HALT_MTD = "h"
+
+/**
+ * @typedef {Object} EffectStep - reified instruction of the Effect chain
+ * @property {EffectStep|null} prev - previous instruction (persistent list - chains share their beginnings)
+ * @property {string} kind - CHAIN_MTD, MAP_MTD, CATCH_MTD or HALT_MTD
+ * @property {Function} func
+ * @property {boolean} isAsync
+ * @property {string} method - name of the method for MonadError messages
+ * @property {function(SMonad): boolean} [guard] - HALT_MTD only: which halted SMonads are recovered
+ * @property {string|null} label - name of the step for tracing (see named)
+ */
+
+/** @returns {Effect} new Effect with one more instruction, the current one is not changed */
+function appendStep(effect, kind, func, isAsync, method, guard=null) {
+    const next = new Effect(effect._value);
+    next._root = effect._root;
+    next._lastStep = { prev: effect._lastStep, kind, func, isAsync, method, guard, label: null };
+    next._steps = effect._steps + 1;
+    keepInvalidate(effect, next);
+    return next
+}
+
+/** The steps added after cached keep its invalidate method (see Effect.cached) */
+function keepInvalidate(effect, next) {
+    if (hasOwn(effect, 'invalidate')) { next.invalidate = effect.invalidate }
+}
+
+/**
+ * @param {function(AbortSignal, RunContext): *} run - initial function, receives the context of the run as the second argument
+ * @param {string} method
+ * @param {Effect[]} [inner] - effects run by the initial function: their steps are counted in toString
+ * @returns {Effect} Effect made by the method of the library - its initial function is traced under the name of the method
+ * (user initial functions get only the signal, see runEffect)
+ */
+function derivedEffect(run, method, inner=[]) {
+    const effect = new Effect(run);
+    effect._root = { method, label: null, internal: true };
+    effect._steps = inner.length === 0 ? 1 : inner.reduce((total, item) => total + item._steps, 0);
+    return effect
+}
+
+/**
+ * @typedef {Object} RunContext - settings of one run, are given to all inner effects
+ * @property {AbortSignal} [signal]
+ * @property {function(TraceEvent): void} [tracer] - tracer of the run, replaces the global one
+ * @property {*} [env] - environment with dependencies (see Effect.ask, Effect.service, provide)
+ */
+
+/** @type {RunContext} */
+const EMPTY_CONTEXT = Object.freeze({ signal: undefined, tracer: null, env: undefined });
+
+/**
+ * @typedef {Object} TraceEvent
+ * @property {'start'|'end'} type
+ * @property {'Effect'|'State'} monad
+ * @property {string} method - for example 'Effect.map'. The initial function of Effect - 'Effect.of' or the creating method
+ * @property {string|null} label - see named
+ * @property {number|null} index - position of the step in the Effect chain (0 - initial function), null for State
+ * @property {number} time - timestamp in ms
+ * @property {number} [duration] - end only, in ms
+ * @property {'success'|'halt'|'error'|'recovered'} [outcome] - end only. halt - the step gave halted SMonad,
+ * recovered - catch or onHalt step gave a value
+ * @property {*} [result] - end only, for outcomes except error
+ * @property {*} [error] - end only, for error outcome
+ */
+
+/** @type {function(TraceEvent): void | null} */
+let globalTracer = null;
+
+/** @returns {function(TraceEvent): void | null} tracer of the run or the global one */
+const activeTracer = ctx => ctx.tracer || globalTracer;
+
+const traceNow = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Calls the step and reports its start and end to the tracer. For a Promise the end is reported when it settles.
+ * Without tracer just calls the step.
+ * @param {function(TraceEvent): void | null} tracer
+ * @param {{monad: string, method: string, label: string|null, index: number|null}} info
+ * @param {boolean} recovering - the step is catch or onHalt
+ * @param {function(): *} call
+ * @returns {*} result of call
+ */
+function traceCall(tracer, info, recovering, call) {
+    if (!tracer) { return call() }
+    const start = traceNow();
+    tracer({ type: 'start', ...info, time: start });
+    const end = (outcome, payload) => {
+        const time = traceNow();
+        tracer({ type: 'end', ...info, time, duration: time - start, outcome, ...payload });
+    }
+    const settle = result => {
+        end(isHaltSMonad(result) ? 'halt' : (recovering ? 'recovered' : 'success'), { result });
+        return result
+    }
+    const fail = error => {
+        end('error', { error });
+        throw error
+    }
+    let result;
+    try {
+        result = call();
+    } catch(err) { fail(err) }
+    return result instanceof Promise ? result.then(settle, fail) : settle(result)
+}
+
+/** @returns {{monad: string, method: string, label: string|null, index: number}} */
+const effectTraceInfo = (step, index) => ({ monad: 'Effect', method: step.method, label: step.label, index });
+
+/** @returns {boolean} the instruction is executed for this result of the previous one (not skipped) */
+const executesStep = (step, out) => step.kind === HALT_MTD 
+    ? recoversHalt(step, out) 
+    : (step.kind !== CATCH_MTD && !isHaltSMonad(out));
+
+/**
+ * Calls the instruction of Effect with tracing. Skipped instructions (after a halt or an error) are not reported.
+ * @returns {*} result of call
+ */
+function traceStep(tracer, step, index, out, failed, call) {
+    if (!tracer || !(failed || executesStep(step, out))) { return call() }
+    return traceCall(tracer, effectTraceInfo(step, index), failed || step.kind === HALT_MTD, call)
+}
+
+/**
+ * @param {TraceEvent} event
+ * @returns {string} one line description of the end event for consoleTracer
+ */
+function describeTraceEvent(event) {
+    const place = event.index === null ? '' : ` #${event.index}`;
+    const label = event.label === null ? '' : ` (${event.label})`;
+    const payload = event.outcome === 'error' ? event.error : event.result;
+    return `[${event.monad}]${place} ${event.method}${label} -> ${event.outcome} ${inspectValue(payload)} in ${event.duration.toFixed(2)} ms`
+}
+
+/** @returns {Array<EffectStep>} instructions of the Effect from the first to the last */
+function effectProgram(effect) {
+    const program = [];
+    for (let step = effect._lastStep; step !== null; step = step.prev) { program.push(step) }
+    return program.reverse()
+}
+
+/** Right SMonad is unwrapped, other values (including halted SMonads) are returned as is */
+const unwrapRight = value => isRightSMonad(value) ? unwrapSMonad(value) : value;
+
+/** @returns {boolean} the result of the previous instruction is a halted SMonad recovered by the HALT_MTD instruction */
+const recoversHalt = (step, out) => isHaltSMonad(out) && step.guard(out);
+
+/**
+ * @param {AbortSignal} signal - aborted signal
+ * @returns {AbortError}
+ */
+function abortError(signal) {
+    return signal.reason instanceof AbortError ? signal.reason : new AbortError(signal.reason)
+}
+
+/**
+ * @param {AbortSignal} [signal]
+ * @returns {void}
+ * @throws {AbortError} if the signal is aborted
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) { throw abortError(signal) }
+}
+
+/**
+ * @param {*} value - Promise or simple value
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<*>} settles as the value or rejects with AbortError when the signal is aborted
+ */
+function abortable(value, signal) {
+    if (!signal) { return Promise.resolve(value) }
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortError(signal));
+        if (signal.aborted) { return onAbort() }
+        signal.addEventListener('abort', onAbort, {once: true});
+        Promise.resolve(value)
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    })
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>} resolves after ms, rejects with AbortError (and clears the timer) when the signal is aborted
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => { clearTimeout(timer); reject(abortError(signal)) };
+        const timer = setTimeout(() => {
+            if (signal) { signal.removeEventListener('abort', onAbort) }
+            resolve()
+        }, ms);
+        if (signal) { signal.aborted ? onAbort() : signal.addEventListener('abort', onAbort, {once: true}) }
+    })
+}
+
+/**
+ * AbortController which is aborted together with the parent signal.
+ * @param {AbortSignal} [signal] - parent signal
+ * @returns {[AbortController, function(): void]} controller and the function to detach it from the parent
+ */
+function linkedController(signal) {
+    const controller = new AbortController();
+    if (!signal) { return [controller, () => undefined] }
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal.aborted) { onAbort() }
+    else { signal.addEventListener('abort', onAbort, {once: true}) }
+    return [controller, () => signal.removeEventListener('abort', onAbort)]
+}
+
+/**
+ * NEED FOR apply, call or bind, because has 'this' inside!
+ * Applies map or chain instruction (SYNC). Halted SMonad skips the instruction.
+ * @param {EffectStep} step
+ * @param {*} out - result of the previous instruction
+ * @param {boolean} auto - functions may return Promises (runAuto mode)
+ * @returns {*} raw result - may be a Promise if the inner Effect of chain is ASYNC (or in auto mode)
+ * @throws {MonadError}
+ */
+function applyStep(step, out, auto, ctx) {
+    if (step.kind === HALT_MTD) { return recoversHalt(step, out) ? recoverStep.call(this, step, out, auto, ctx) : out }
+    if (step.kind === CATCH_MTD || isHaltSMonad(out)) { return out }
+    const result = step.func(unwrapRight(out));
+    if (auto && result instanceof Promise) { return result.then(res => completeStep.call(this, step, res, auto, ctx)) }
+    return completeStep.call(this, step, result, auto, ctx)
+}
+
+/**
+ * NEED FOR apply, call or bind, because has 'this' inside!
+ * Checks the result of the function of map or chain instruction (SYNC) and runs the inner Effect of chain.
+ * @returns {*} raw result
+ * @throws {MonadError}
+ */
+function completeStep(step, result, auto, ctx) {
+    if (step.kind === MAP_MTD) {
+        panicOnPromise(result, step.method);
+        panicOnLazyMapViolation(result, step.method);
+        return unwrapRight(result)
+    }
+    panicOnAnotherInstance.call(this, result, step.method);
+    const inner = runEffect(result, auto, ctx);
+    return (auto && inner instanceof Promise) ? inner.then(unwrapRight) : unwrapRight(inner)
+}
+
+/**
+ * NEED FOR apply, call or bind, because has 'this' inside!
+ * ASYNC analog of applyStep. The function of the step receives the AbortSignal of the run as the second argument.
+ * @returns {Promise<*>}
+ * @throws {MonadError}
+ */
+async function applyStepAsync(step, out, auto, ctx) {
+    if (step.kind === HALT_MTD) { return recoversHalt(step, out) ? await recoverStepAsync.call(this, step, out, auto, ctx) : out }
+    if (step.kind === CATCH_MTD || isHaltSMonad(out)) { return out }
+    const result = await step.func(unwrapRight(out), ctx.signal);
+    if (step.kind === MAP_MTD) {
+        panicOnLazyMapViolation(result, step.method);
+        return unwrapRight(result)
+    }
+    panicOnAnotherInstance.call(this, result, step.method);
+    return unwrapRight(await runEffect(result, auto, ctx))
+}
+
+/**
+ * NEED FOR apply, call or bind, because has 'this' inside!
+ * Applies catch instruction (SYNC) to the error or onHalt instruction to the halted SMonad.
+ * @returns {*} raw result - may be a Promise if the recovering Effect is ASYNC (or in auto mode)
+ * @throws {MonadError}
+ */
+function recoverStep(step, err, auto, ctx) {
+    const result = step.func(err);
+    if (auto && result instanceof Promise) { return result.then(res => completeRecovery.call(this, step, res, auto, ctx)) }
+    panicOnPromise(result, step.method);
+    return completeRecovery.call(this, step, result, auto, ctx)
+}
+
+/**
+ * NEED FOR apply, call or bind, because has 'this' inside!
+ * Checks the result of the function of catch instruction and runs the recovering Effect.
+ * @returns {*} raw result
+ * @throws {MonadError}
+ */
+function completeRecovery(step, result, auto, ctx) {
+    panicOnAnotherLazyMonad.call(this, result, step.method);
+    if (result instanceof this.constructor) { return runEffect(result, auto, ctx) }
+    return unwrapRight(result)
+}
+
+/**
+ * NEED FOR apply, call or bind, because has 'this' inside!
+ * ASYNC analog of recoverStep. The function of the step receives the AbortSignal of the run as the second argument.
+ * @returns {Promise<*>}
+ * @throws {MonadError}
+ */
+async function recoverStepAsync(step, err, auto, ctx) {
+    return await completeRecovery.call(this, step, await step.func(err, ctx.signal), auto, ctx)
+}
+
+/**
+ * Executes the instructions of the Effect by a flat loop - very long chains do not overflow the stack.
+ * Runs SYNC until the first ASYNC instruction, then continues in runEffectAsync.
+ * Thrown errors skip instructions up to the nearest catch/catchAsync, MonadError is never intercepted.
+ * @param {Effect} effect
+ * @param {boolean} [auto] - if true, SYNC instructions may return Promises: the execution continues
+ * asynchronously from the first Promise. DEFAULT false.
+ * @param {RunContext} [ctx] - the signal (if any) is given to the initial function and ASYNC instructions, 
+ * the whole context - to inner effects and initial functions of the library. The instructions are reported to the tracer.
+ * @returns {*} raw result - a Promise for ASYNC chains
+ * @throws {MonadError}
+ * @throws {AbortError} if the signal is already aborted
+ */
+function runEffect(effect, auto=false, ctx=EMPTY_CONTEXT) {
+    const {signal} = ctx;
+    throwIfAborted(signal);
+    const program = effectProgram(effect);
+    const tracer = activeTracer(ctx);
+    const start = effect._root.internal 
+        ? () => effect._value(signal, ctx) 
+        : () => signal ? effect._value(signal) : effect._value();
+    let value, error, failed = false;
+    try {
+        value = traceCall(tracer, effectTraceInfo(effect._root, 0), false, start);
+    } catch(err) {
+        if (isMonadError(err)) { throw err }
+        [error, failed] = [err, true];
+    }
+    for (let i = 0; i < program.length; i++) {
+        const step = program[i];
+        if (step.isAsync || (auto && value instanceof Promise)) {
+            return runEffectAsync(effect, program, i, value, error, failed, auto, ctx)
+        }
+        panicOnPromise(value, step.method);
+        if (failed && step.kind !== CATCH_MTD) { continue }
+        try {
+            value = traceStep(tracer, step, i + 1, value, failed, () => failed 
+                ? recoverStep.call(effect, step, error, auto, ctx) 
+                : applyStep.call(effect, step, value, auto, ctx));
+            [error, failed] = [undefined, false];
+        } catch(err) {
+            if (isMonadError(err)) { throw err }
+            [value, error, failed] = [undefined, err, true];
+        }
+    }
+    if (failed) { throw error }
+    return (signal && value instanceof Promise) ? abortable(value, signal) : value
+}
+
+/**
+ * Continues the execution of runEffect from the first ASYNC instruction (or the first Promise in auto mode).
+ * Out of auto mode any SYNC instruction after an ASYNC one receives a Promise - it is a contract violation.
+ * Abort of the signal rejects the current waiting at once and stops further instructions (catch included).
+ * @returns {Promise<*>}
+ * @throws {MonadError}
+ * @throws {AbortError}
+ */
+async function runEffectAsync(effect, program, start, value, error, failed, auto, ctx) {
+    const {signal} = ctx;
+    const tracer = activeTracer(ctx);
+    for (let i = start; i < program.length; i++) {
+        const step = program[i];
+        if (!step.isAsync && !auto) {
+            throw new MonadError(`${step.method} - follows an ASYNC step, so receives Promise. Use async analog instead.`)
+        }
+        if (!failed) {
+            try {
+                value = await abortable(value, signal);
+            } catch(err) {
+                if (isMonadError(err)) { throw err }
+                throwIfAborted(signal);
+                [value, error, failed] = [undefined, err, true];
+            }
+        }
+        if (failed && step.kind !== CATCH_MTD) { continue }
+        try {
+            value = await abortable(traceStep(tracer, step, i + 1, value, failed, () => failed 
+                ? recoverStepAsync.call(effect, step, error, auto, ctx) 
+                : applyStepAsync.call(effect, step, value, auto, ctx)), signal);
+            [error, failed] = [undefined, false];
+        } catch(err) {
+            if (isMonadError(err)) { throw err }
+            throwIfAborted(signal);
+            [value, error, failed] = [undefined, err, true];
+        }
+    }
+    if (failed) { throw error }
+    return await abortable(value, signal)
+}
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [attempts] - max number of attempts including the first one. DEFAULT 3
+ * @property {number} [delay] - base delay between attempts in ms (ASYNC only). DEFAULT 0
+ * @property {'fixed'|'exponential'} [backoff] - fixed: delay, exponential: delay * factor^(n-1). DEFAULT 'fixed'
+ * @property {number} [factor] - multiplier of exponential backoff. DEFAULT 2
+ * @property {number} [maxDelay] - upper bound of the delay. DEFAULT Infinity
+ * @property {boolean} [jitter] - full jitter: random delay between 0 and the calculated one. DEFAULT false
+ * @property {function(*, number): boolean} [retryIf] - (error, attempt) => retry or not. DEFAULT always
+ * @property {function(*, number, number): void} [onRetry] - (error, attempt, delay) => void, called before the next attempt
+ */
+
+/**
+ * Checks the retry policy and fills in the defaults.
+ * @param {RetryPolicy} policy
+ * @param {string} method
+ * @returns {Required<RetryPolicy>}
+ * @throws {MonadError}
+ */
+function retryPolicy(policy, method) {
+    panicIfNotRecord(policy, method);
+    const full = {
+        attempts: 3, delay: 0, backoff: 'fixed', factor: 2, maxDelay: Infinity, jitter: false,
+        retryIf: () => true, onRetry: () => undefined, ...policy
+    };
+    if (!Number.isInteger(full.attempts) || full.attempts < 1) {
+        throw new MonadError(`${method} - attempts must be a positive integer.`)
+    }
+    if (![full.delay, full.factor, full.maxDelay].every(num => typeof num === 'number' && num >= 0)) {
+        throw new MonadError(`${method} - delay, factor and maxDelay must be non-negative numbers.`)
+    }
+    if (full.backoff !== 'fixed' && full.backoff !== 'exponential') {
+        throw new MonadError(`${method} - backoff must be 'fixed' or 'exponential'.`)
+    }
+    panicIfNotFunction(full.retryIf, method);
+    panicIfNotFunction(full.onRetry, method);
+    return full
+}
+
+/**
+ * @param {Required<RetryPolicy>} policy
+ * @param {number} attempt - number of the failed attempt, starts from 1
+ * @returns {number} delay in ms before the next attempt
+ */
+function retryDelay(policy, attempt) {
+    const base = policy.backoff === 'exponential' ? policy.delay * policy.factor ** (attempt - 1) : policy.delay;
+    const delay = Math.min(base, policy.maxDelay);
+    return policy.jitter ? Math.random() * delay : delay
+}
+
+/**
+ * Runs the Effect until success or the end of the attempts (SYNC, without delays).
+ * Halted SMonads are results, not errors - they are not retried. MonadError is never intercepted.
+ * @param {Effect} effect
+ * @param {Required<RetryPolicy>} policy
+ * @returns {*} raw result
+ * @throws {*} the last error
+ */
+function retryEffect(effect, policy, ctx) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const result = runEffect(effect, false, ctx);
+            panicOnPromise(result, 'Effect.retry');
+            return result
+        } catch(err) {
+            if (isMonadError(err) || attempt >= policy.attempts || !policy.retryIf(err, attempt)) { throw err }
+            policy.onRetry(err, attempt, 0);
+        }
+    }
+}
+
+/**
+ * ASYNC analog of retryEffect, waits the delay of the policy between attempts. Abort of the signal stops the attempts.
+ * @returns {Promise<*>}
+ */
+async function retryEffectAsync(effect, policy, ctx) {
+    const {signal} = ctx;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await runEffect(effect, false, ctx)
+        } catch(err) {
+            if (isMonadError(err) || (signal && signal.aborted)) { throw err }
+            if (attempt >= policy.attempts || !(await policy.retryIf(err, attempt))) { throw err }
+            const delay = retryDelay(policy, attempt);
+            await policy.onRetry(err, attempt, delay);
+            if (delay > 0) { await sleep(delay, signal) }
+        }
+    }
+}
+
+/**
+ * Starts the run of the Effect on the next microtask: synchronous throws become rejections,
+ * so they are handled together with the other promises of a race.
+ * @param {Effect} effect
+ * @param {RunContext} ctx
+ * @returns {Promise<*>} raw result
+ */
+function startEffect(effect, ctx) { return Promise.resolve().then(() => runEffect(effect, false, ctx)) }
+
+/**
+ * Runs the Effect with the time limit. On expiry the Effect is aborted and onTimeout gives the result.
+ * @param {Effect} effect
+ * @param {number} ms
+ * @param {function(): * | undefined} onTimeout - without it TimeoutError is thrown
+ * @param {RunContext} ctx - context of the outer run
+ * @returns {Promise<*>} raw result
+ */
+async function timeoutEffect(effect, ms, onTimeout, ctx) {
+    const [controller, detach] = linkedController(ctx.signal);
+    const expired = new TimeoutError(ms);
+    const timer = sleep(ms, controller.signal).then(() => { throw expired });
+    timer.catch(() => {}); // the final abort rejects the timer when the Effect settles first
+    try {
+        return await Promise.race([startEffect(effect, {...ctx, signal: controller.signal}), timer])
+    } catch(err) {
+        if (err !== expired) { throw err }
+        controller.abort(err);
+        if (onTimeout === undefined) { throw err }
+        const result = await onTimeout();
+        panicOnAnotherLazyMonad.call(effect, result, 'Effect.timeout');
+        return result instanceof Effect ? await runEffect(result, false, ctx) : result
+    } finally {
+        controller.abort(new AbortError('finished'));
+        detach();
+    }
+}
+
+/**
+ * Runs the effects concurrently, the first settled (result or error) wins, the rest are aborted.
+ * @param {Effect[]} effects
+ * @param {RunContext} ctx - context of the outer run
+ * @returns {Promise<*>} raw result of the winner
+ */
+async function raceEffects(effects, ctx) {
+    const [controller, detach] = linkedController(ctx.signal);
+    const inner = {...ctx, signal: controller.signal};
+    try {
+        return await Promise.race(effects.map(effect => startEffect(effect, inner)))
+    } finally {
+        controller.abort(new AbortError('lost the race'));
+        detach();
+    }
+}
+
+/**
+ * @typedef {Object} CacheOptions
+ * @property {number} [ttl] - lifetime of the cached result in ms (counted from the moment it is ready). DEFAULT Infinity
+ * @property {function(*): *} [key] - gives the key of the cache entry on every run by the environment of the run (Map keys).
+ * DEFAULT the environment itself: one entry per environment object, one entry without environment
+ * @property {boolean} [cacheErrors] - cache thrown errors too. DEFAULT false
+ */
+
+/**
+ * Gives the cached result of the Effect or runs it. A pending ASYNC result is shared, so concurrent runs execute the Effect once.
+ * The underlying Effect runs without AbortSignal - abort of one caller does not stop the shared computation.
+ * @param {Effect} effect
+ * @param {Required<CacheOptions>} options
+ * @param {Map<*, {value: *, failed: boolean, expires: number}>} cache
+ * @param {RunContext} ctx - context of the run which executes the Effect
+ * @returns {*} raw result - a Promise for ASYNC effects
+ * @throws {*} cached or new error
+ */
+function readCache(effect, options, cache, ctx) {
+    const key = options.key(ctx.env);
+    const entry = cache.get(key);
+    if (entry && entry.expires > Date.now()) {
+        if (entry.failed) { throw entry.value }
+        return entry.value
+    }
+    const fresh = {value: undefined, failed: false, expires: Infinity};
+    const store = () => {
+        if (cache.get(key) === fresh) { fresh.expires = Date.now() + options.ttl }
+    }
+    let value;
+    try {
+        value = runEffect(effect, false, {...ctx, signal: undefined});
+    } catch(err) {
+        if (options.cacheErrors && !isMonadError(err)) {
+            Object.assign(fresh, {value: err, failed: true});
+            cache.set(key, fresh);
+            store();
+        }
+        throw err
+    }
+    fresh.value = value;
+    cache.set(key, fresh);
+    if (value instanceof Promise) {
+        value.then(store, err => {
+            if (options.cacheErrors && !isMonadError(err)) { store() }
+            else if (cache.get(key) === fresh) { cache.delete(key) }
+        })
+    } else { store() }
+    return value
+}
+
+/**
+ * @typedef {Object} ParallelOptions
+ * @property {number} [concurrency] - max number of effects running at the same time. DEFAULT Infinity
+ * @property {boolean} [cancel] - abort the running effects on short-circuit. DEFAULT false
+ */
+
+/**
+ * Checks the options of parallel combinators and fills in the defaults.
+ * @param {ParallelOptions} options
+ * @param {string} method
+ * @returns {Required<ParallelOptions>}
+ * @throws {MonadError}
+ */
+function parallelOptions(options, method) {
+    panicIfNotRecord(options, method);
+    const {concurrency = Infinity, cancel = false} = options;
+    if (!(concurrency === Infinity || (Number.isInteger(concurrency) && concurrency > 0))) {
+        throw new MonadError(`${method} - concurrency must be a positive integer or Infinity.`)
+    }
+    return {concurrency, cancel: Boolean(cancel)}
+}
+
+const PAR_HALT = Symbol('ParallelHalt');
+
+/**
+ * Runs the effects by a pool of workers with bounded concurrency, the results keep the order of the items.
+ * Results are unwrapped like in chain. Without settle the first halted SMonad or error stops taking new items
+ * and becomes the result (the running effects are aborted if options.cancel).
+ * With settle every result is SMonad: halted SMonads as is, others - Success, errors - Fail.
+ * MonadError is never intercepted: it stops taking new items and aborts the running effects in both modes.
+ * @param {Array<*>} items
+ * @param {function(*, number): Effect} toEffect - gives the Effect of the item
+ * @param {Required<ParallelOptions>} options
+ * @param {boolean} settle
+ * @param {RunContext} ctx - context of the outer run
+ * @param {string} method
+ * @returns {Promise<Array<*> | SMonad>}
+ */
+async function runParallel(items, toEffect, options, settle, ctx, method) {
+    const {signal} = ctx;
+    const [controller, detach] = linkedController(signal);
+    const inner = {...ctx, signal: controller.signal};
+    const results = new Array(items.length);
+    let next = 0, stopped = false;
+    const stop = () => {
+        stopped = true;
+        if (options.cancel) { controller.abort(new AbortError('short-circuit')) }
+    }
+    const panic = err => {
+        stopped = true;
+        controller.abort(new AbortError('contract violation'));
+        throw err
+    }
+    const runItem = async index => {
+        const effect = toEffect(items[index], index);
+        panicOnAnotherInstance.call(Effect.prototype, effect, method);
+        return await runEffect(effect, false, inner)
+    }
+    const worker = async () => {
+        while (!stopped && next < items.length) {
+            const index = next++;
+            if (settle) {
+                try {
+                    const out = await runItem(index);
+                    results[index] = isHaltSMonad(out) ? out : new Success(unwrapRight(out));
+                } catch(err) {
+                    if (isMonadError(err)) { panic(err) }
+                    throwIfAborted(signal);
+                    results[index] = new Fail(err);
+                }
+                continue
+            }
+            let out;
+            try {
+                out = await runItem(index);
+            } catch(err) {
+                if (isMonadError(err)) { panic(err) }
+                if (!stopped) { stop() }
+                throw err
+            }
+            if (isHaltSMonad(out)) {
+                stop();
+                throw {[PAR_HALT]: out}
+            }
+            results[index] = unwrapRight(out);
+        }
+    }
+    const workers = Array.from({length: Math.min(options.concurrency, items.length)}, worker);
+    Promise.allSettled(workers).then(detach);
+    try {
+        await Promise.all(workers);
+        return results
+    } catch(err) {
+        if (err !== null && typeof err === 'object' && hasOwn(err, PAR_HALT)) { return err[PAR_HALT] }
+        throw err
+    }
+}
+
+/**
+ * Records the error of a finalizer in the suppressed list of the original error, so the original error is not masked.
+ * A primitive or non-extensible original error can not keep the list: it is wrapped into Error with the cause.
+ * @param {*} error - original error
+ * @param {*} finalizerError
+ * @returns {*} the error to throw
+ */
+function withSuppressed(error, finalizerError) {
+    if (error === null || typeof error !== 'object' || !Object.isExtensible(error)) {
+        const wrapped = new Error('The finalizer failed after an error (see cause and suppressed)', { cause: error });
+        wrapped.suppressed = [finalizerError];
+        return wrapped
+    }
+    if (!Array.isArray(error.suppressed)) { error.suppressed = [] }
+    error.suppressed.push(finalizerError);
+    return error
+}
+
+/**
+ * Runs the finalizer (SYNC). Its result is ignored, but an Effect is executed. 
+ * Finalizers get no AbortSignal - the cleanup must run after abort too.
+ * @param {function(...*): *} finalizer
+ * @param {Array<*>} args
+ * @param {RunContext} ctx - context of the outer run
+ * @param {string} method
+ * @returns {void}
+ * @throws {MonadError}
+ */
+function runFinalizer(finalizer, args, ctx, method) {
+    const out = finalizer(...args);
+    panicOnPromise(out, method);
+    panicOnAnotherLazyMonad.call(Effect.prototype, out, method);
+    if (out instanceof Effect) { panicOnPromise(runEffect(out, false, {...ctx, signal: undefined}), method) }
+}
+
+/**
+ * ASYNC analog of runFinalizer.
+ * @returns {Promise<void>}
+ */
+async function runFinalizerAsync(finalizer, args, ctx, method) {
+    const out = await finalizer(...args);
+    panicOnAnotherLazyMonad.call(Effect.prototype, out, method);
+    if (out instanceof Effect) { await runEffect(out, false, {...ctx, signal: undefined}) }
+}
+
+/**
+ * Runs body, then always the finalizer - after the result (halted SMonad included) or the error.
+ * The error of the finalizer after the error of body is added to its suppressed list (see withSuppressed), MonadError always goes out.
+ * @param {function(): *} body
+ * @param {function(): void} finalize
+ * @returns {*} result of body
+ */
+function guarded(body, finalize) {
+    let result;
+    try {
+        result = body();
+    } catch(err) {
+        let thrown = err;
+        try {
+            finalize();
+        } catch(finErr) {
+            if (isMonadError(finErr)) { throw finErr }
+            thrown = withSuppressed(err, finErr);
+        }
+        throw thrown
+    }
+    finalize();
+    return result
+}
+
+/**
+ * ASYNC analog of guarded.
+ * @returns {Promise<*>}
+ */
+async function guardedAsync(body, finalize) {
+    let result;
+    try {
+        result = await body();
+    } catch(err) {
+        let thrown = err;
+        try {
+            await finalize();
+        } catch(finErr) {
+            if (isMonadError(finErr)) { throw finErr }
+            thrown = withSuppressed(err, finErr);
+        }
+        throw thrown
+    }
+    await finalize();
+    return result
+}
+
+/**
+ * Acquires the resource, uses it and always releases it (SYNC). The halt or the error of acquire gives no release.
+ * @param {Effect} acquire
+ * @param {function(*): Effect} use
+ * @param {function(*): *} release
+ * @param {RunContext} ctx
+ * @returns {*} raw result of use
+ */
+function bracketEffect(acquire, use, release, ctx) {
+    const acquired = runEffect(acquire, false, ctx);
+    panicOnPromise(acquired, 'Effect.bracket');
+    if (isHaltSMonad(acquired)) { return acquired }
+    const resource = unwrapRight(acquired);
+    const body = () => {
+        const effect = use(resource);
+        panicOnAnotherInstance.call(acquire, effect, 'Effect.bracket');
+        const out = runEffect(effect, false, ctx);
+        panicOnPromise(out, 'Effect.bracket');
+        return out
+    }
+    return guarded(body, () => runFinalizer(release, [resource], ctx, 'Effect.bracket'))
+}
+
+/**
+ * ASYNC analog of bracketEffect.
+ * @returns {Promise<*>}
+ */
+async function bracketEffectAsync(acquire, use, release, ctx) {
+    const acquired = await runEffect(acquire, false, ctx);
+    if (isHaltSMonad(acquired)) { return acquired }
+    const resource = unwrapRight(acquired);
+    const body = async () => {
+        const effect = await use(resource);
+        panicOnAnotherInstance.call(acquire, effect, 'Effect.bracketAsync');
+        return await runEffect(effect, false, ctx)
+    }
+    return await guardedAsync(body, () => runFinalizerAsync(release, [resource], ctx, 'Effect.bracketAsync'))
+}
+
+/**
+ * @template F
+ * @extends {LMonad}
+ * Works with functions that return both simple values and instances of simple monads(SMonad).
+ * Async functions are possible.
+ */
+class Effect extends LMonad {
+    /**     
+     * @param {function(): R} effect
+     * @returns {Effect<F>}
+     * @throws {MonadError} Effect requires a function 
+     */
+    static of(effect) {
+        panicIfNotFunction(effect, 'static Effect.of'); 
+        return new Effect(effect)
+    }
+
+    /**     
+     * Steps of the chain are stored as a list of instructions and executed by a flat loop in run/runAsync.
+     * @param {function(): R} effect
+     * @throws {MonadError} Effect requires a function 
+     */
+    constructor(effect) {        
+        panicIfNotFunction(effect, 'Effect.constructor');
+        super(effect);        
+        /** @type {EffectStep|null} */
+        this._lastStep = null;
+        this._steps = 1;
+        /** @type {{method: string, label: string|null}} initial function for tracing */
+        this._root = { method: 'Effect.of', label: null };
+    }
+
+    /**      
+     * @param {function(R): Effect<F>} func 
+     * @returns {Effect<F>}    
+     * @throws {MonadError} 'Improper use of "chain" method'
+     */
+    chain(func) { return appendStep(this, CHAIN_MTD, func, false, 'Effect.chain') } 
+    
+    /**    
+     * @param {function(R): Promise<Effect<F>>} asyncFunc
+     * @returns {Effect<function(): Promise<R>>}
+     * @throws {MonadError} 'Improper use of "chainAsync" method'
+     */
+    chainAsync(asyncFunc) { return appendStep(this, CHAIN_MTD, asyncFunc, true, 'Effect.chainAsync') }
+
+    /**       
+     * @param {function(R): R} func
+     * @returns {Effect<() => R>}
+     * @throws {MonadError} 'Improper use of "map" method'
+     */
+    map(func) { return appendStep(this, MAP_MTD, func, false, 'Effect.map') }
+
+    /**      
+     * @param {function(R): Promise<R>} asyncFunc
+     * @returns {Effect<function(): Promise<R>>}
+     * @throws {MonadError} 'Improper use of "mapAsync" method'
+     */
+    mapAsync(asyncFunc) { return appendStep(this, MAP_MTD, asyncFunc, true, 'Effect.mapAsync') }
+
+    /** 
+     * Recover from errors (SYNC) 
+     * @template E - type of error object
+     * @template R - type of non-monadic result       
+     * @param {function(E): R | Effect<F>} func
+     * @returns {Effect<() => R>}
+     * @throws {MonadError} 'Improper use of "catch" method'
+     */
+    catch(func) { return appendStep(this, CATCH_MTD, func, false, 'Effect.catch') }
+
+    /** 
+     * Recover from errors (ASYNC)
+     * @template E - type of error object
+     * @template R - type of non-monadic result        
+     * @param {function(E): Promise<R | Effect<F>>} func
+     * @returns {Effect<() => R>}
+     * @throws {MonadError} 'Improper use of "catchAsync" method'
+     */
+    catchAsync(func) { return appendStep(this, CATCH_MTD, func, true, 'Effect.catchAsync') }
+
+    /**
+     * Reruns the whole chain before this point if it throws (SYNC, delays of the policy are ignored).
+     * Halted SMonads (Fail, Nothing) are results and are not retried. MonadError is never intercepted.
+     * If all attempts fail, the last error goes on to the next catch.
+     * @param {RetryPolicy} [policy] - DEFAULT {attempts: 3}
+     * @returns {Effect<F>}
+     * @throws {MonadError} 'Improper use of "retry" method' - wrong policy or the chain is ASYNC (on run)
+     */
+    retry(policy={}) {
+        const full = retryPolicy(policy, 'Effect.retry');
+        return derivedEffect((_, ctx) => retryEffect(this, full, ctx), 'Effect.retry', [this])
+    }
+
+    /**
+     * ASYNC analog of retry: waits between attempts according to the delay, backoff and jitter of the policy.
+     * retryIf and onRetry may be ASYNC FUNCTIONS.
+     * @param {RetryPolicy} [policy] - DEFAULT {attempts: 3}
+     * @returns {Effect<function(): Promise<R>>}
+     * @throws {MonadError} 'Improper use of "retryAsync" method' - wrong policy
+     */
+    retryAsync(policy={}) {
+        const full = retryPolicy(policy, 'Effect.retryAsync');
+        return derivedEffect((_, ctx) => retryEffectAsync(this, full, ctx), 'Effect.retryAsync', [this])
+    }
+
+    /**
+     * Recovers from halted SMonads (SYNC): Fail, Nothing, Invalid returned by the previous steps.
+     * Mirrors onFailChain/onNothingChain of simple monads. Thrown errors are not intercepted (see catch).
+     * @template R - type of non-monadic result
+     * @param {function(SMonad): R | SMonad | Effect<F>} func - receives the halted container, the result resumes the chain
+     * @returns {Effect<F>}
+     * @throws {MonadError} 'Improper use of "onHalt" method'
+     */
+    onHalt(func) { return appendStep(this, HALT_MTD, func, false, 'Effect.onHalt', isHaltSMonad) }
+
+    /**
+     * Recovers from halted SMonads (ASYNC)
+     * @param {function(SMonad): Promise<R | SMonad | Effect<F>>} func
+     * @returns {Effect<function(): Promise<R>>}
+     * @throws {MonadError} 'Improper use of "onHaltAsync" method'
+     */
+    onHaltAsync(func) { return appendStep(this, HALT_MTD, func, true, 'Effect.onHaltAsync', isHaltSMonad) }
+
+    /**
+     * Like onHalt, but recovers only from Fail (SYNC), other halted SMonads pass on.
+     * @param {function(Fail): R | SMonad | Effect<F>} func
+     * @returns {Effect<F>}
+     * @throws {MonadError} 'Improper use of "onFail" method'
+     */
+    onFail(func) { return appendStep(this, HALT_MTD, func, false, 'Effect.onFail', halt => halt.isFail()) }
+
+    /**
+     * Like onHalt, but recovers only from Fail (ASYNC), other halted SMonads pass on.
+     * @param {function(Fail): Promise<R | SMonad | Effect<F>>} func
+     * @returns {Effect<function(): Promise<R>>}
+     * @throws {MonadError} 'Improper use of "onFailAsync" method'
+     */
+    onFailAsync(func) { return appendStep(this, HALT_MTD, func, true, 'Effect.onFailAsync', halt => halt.isFail()) }
+
+    /**
+     * Like onHalt, but recovers only from Nothing (SYNC), other halted SMonads pass on.
+     * @param {function(Nothing): R | SMonad | Effect<F>} func
+     * @returns {Effect<F>}
+     * @throws {MonadError} 'Improper use of "onNothing" method'
+     */
+    onNothing(func) { return appendStep(this, HALT_MTD, func, false, 'Effect.onNothing', halt => halt.isNothing()) }
+
+    /**
+     * Like onHalt, but recovers only from Nothing (ASYNC), other halted SMonads pass on.
+     * @param {function(Nothing): Promise<R | SMonad | Effect<F>>} func
+     * @returns {Effect<function(): Promise<R>>}
+     * @throws {MonadError} 'Improper use of "onNothingAsync" method'
+     */
+    onNothingAsync(func) { return appendStep(this, HALT_MTD, func, true, 'Effect.onNothingAsync', halt => halt.isNothing()) }
+
+    /**
+     * Gives the name to the last step of the chain (to the initial function if there are no steps) for tracing.
+     * @param {string} label
+     * @returns {Effect<F>}
+     * @throws {MonadError} label must be a string
+     */
+    named(label) {
+        if (typeof label !== 'string') { throw new MonadError('Effect.named - label must be a string.') }
+        const next = new Effect(this._value);
+        next._steps = this._steps;
+        next._root = this._lastStep === null ? { ...this._root, label } : this._root;
+        next._lastStep = this._lastStep === null ? null : { ...this._lastStep, label };
+        keepInvalidate(this, next);
+        return next
+    }
+
+    /**
+     * The chain before this point (inner effects included) reports its steps to the tracer instead of the global one.
+     * @param {function(TraceEvent): void} tracer - see LMonad.consoleTracer, LMonad.traceCollector
+     * @returns {Effect<F>}
+     * @throws {MonadError} tracer must be a function
+     */
+    traced(tracer) {
+        panicIfNotFunction(tracer, 'Effect.traced');
+        return derivedEffect((_, ctx) => runEffect(this, false, { ...ctx, tracer }), 'Effect.traced', [this])
+    }
+
+    /**
+     * Supplies the environment to the chain before this point (inner effects included), replaces the outer one.
+     * @template E
+     * @param {E} env
+     * @returns {Effect<F>}
+     */
+    provide(env) { return derivedEffect((_, ctx) => runEffect(this, false, { ...ctx, env }), 'Effect.provide', [this]) }
+
+    /**
+     * Supplies a part of the environment: its properties are added to the outer environment (and replace the same ones).
+     * @param {Object} partialEnv
+     * @returns {Effect<F>}
+     * @throws {MonadError} 'Improper use of "provideSome" method' - requires an object
+     */
+    provideSome(partialEnv) {
+        panicIfNotRecord(partialEnv, 'Effect.provideSome');
+        return derivedEffect(
+            (_, ctx) => runEffect(this, false, { ...ctx, env: { ...ctx.env, ...partialEnv } }), 
+            'Effect.provideSome',
+            [this]
+        )
+    }
+
+    /**       
+     * @template E
+     * @param {E} [env] - environment with dependencies (see Effect.ask, Effect.service). Can be omitted.
+     * @returns {R}
+     * @throws {MonadError}
+     */
+    run(env) {
+        const result = runEffect(this, false, { ...EMPTY_CONTEXT, env });
+        panicOnPromise(result, 'Effect.run');
+        return result
+    }
+
+    /**
+     * @template E
+     * @param {E} [env] - environment with dependencies (see Effect.ask, Effect.service). Can be omitted.
+     * @param {{signal?: AbortSignal} | null} [options] - the signal is given to the initial function and to the functions of
+     * ASYNC steps as the second argument. Its abort stops further steps and rejects with AbortError.
+     * @returns {Promise<R>}
+     * @throws {AbortError}
+     */
+    async runAsync(env, options) {
+        const {signal} = options ?? {};
+        return await runEffect(this, false, { ...EMPTY_CONTEXT, env, signal })
+    }
+
+    /**
+     * Limits the duration of the chain before this point (ASYNC). On expiry the chain is aborted (see runAsync signal)
+     * and the result is given by onTimeout, without onTimeout TimeoutError is thrown (can be caught by catchAsync).
+     * @param {number} ms
+     * @param {function(): R | Effect<F> | Promise<R | Effect<F>>} [onTimeout]
+     * @returns {Effect<function(): Promise<R>>}
+     * @throws {MonadError} 'Improper use of "timeout" method'
+     */
+    timeout(ms, onTimeout) {
+        if (typeof ms !== 'number' || !(ms >= 0)) { throw new MonadError('Effect.timeout - requires a non-negative number of ms.') }
+        if (onTimeout !== undefined) { panicIfNotFunction(onTimeout, 'Effect.timeout') }
+        return derivedEffect((_, ctx) => timeoutEffect(this, ms, onTimeout, ctx), 'Effect.timeout', [this])
+    }
+
+    /**
+     * Always runs the finalizer after the chain before this point (SYNC): after the result, halted SMonad or error.
+     * The result and the error pass on unchanged. If the finalizer throws after an error, its error is added
+     * to err.suppressed (the original error is not masked), after a result - its error goes on to the next catch.
+     * @param {function(): * | Effect<F>} finalizer - returned Effect is executed, other results are ignored
+     * @returns {Effect<F>}
+     * @throws {MonadError} 'Improper use of "ensuring" method'
+     */
+    ensuring(finalizer) {
+        panicIfNotFunction(finalizer, 'Effect.ensuring');
+        const body = ctx => {
+            const out = runEffect(this, false, ctx);
+            panicOnPromise(out, 'Effect.ensuring');
+            return out
+        }
+        return derivedEffect(
+            (_, ctx) => guarded(() => body(ctx), () => runFinalizer(finalizer, [], ctx, 'Effect.ensuring')), 
+            'Effect.ensuring',
+            [this]
+        )
+    }
+
+    /**
+     * ASYNC analog of ensuring, the finalizer may be ASYNC FUNCTION. Runs after abort of the chain too.
+     * @param {function(): Promise<* | Effect<F>>} finalizer
+     * @returns {Effect<function(): Promise<R>>}
+     * @throws {MonadError} 'Improper use of "ensuringAsync" method'
+     */
+    ensuringAsync(finalizer) {
+        panicIfNotFunction(finalizer, 'Effect.ensuringAsync');
+        return derivedEffect((_, ctx) => guardedAsync(
+            () => runEffect(this, false, ctx), 
+            () => runFinalizerAsync(finalizer, [], ctx, 'Effect.ensuringAsync')
+        ), 'Effect.ensuringAsync', [this])
+    }
+
+    /**
+     * Memoization: the returned Effect runs the chain before this point once and then gives the cached result
+     * (halted SMonads included) until TTL expiry. Concurrent runAsync calls share one pending execution.
+     * Thrown errors are not cached unless cacheErrors, MonadError is never cached.
+     * The returned Effect has the method invalidate(key) - removes the entry of the key, without arguments - all entries.
+     * Steps added after cached (map, chain, catch, named...) are not memoized and keep invalidate. Wrappers (timeout, retry,
+     * provide, ensuring...) give effects without it - keep a reference to the cached Effect to invalidate it.
+     * @param {CacheOptions} [options]
+     * @returns {Effect<F> & {invalidate: function(*=): void}}
+     * @throws {MonadError} 'Improper use of "cached" method'
+     */
+    cached(options={}) {
+        panicIfNotRecord(options, 'Effect.cached');
+        const {ttl = Infinity, key = identical, cacheErrors = false} = options;
+        if (typeof ttl !== 'number' || !(ttl >= 0)) { throw new MonadError('Effect.cached - ttl must be a non-negative number.') }
+        panicIfNotFunction(key, 'Effect.cached');
+        const full = {ttl, key, cacheErrors: Boolean(cacheErrors)};
+        const cache = new Map();
+        const memoized = derivedEffect((_, ctx) => readCache(this, full, cache, ctx), 'Effect.cached', [this]);
+        memoized.invalidate = (...args) => {
+            if (args.length === 0) { cache.clear() }
+            else { cache.delete(args[0]) }
+        };
+        return memoized
+    }
+
+    /**
+     * Runs this and the other Effect concurrently (ASYNC), the results are unwrapped like in chain.
+     * The first halted SMonad or error is the result (see Effect.all).
+     * @template B
+     * @param {Effect<F>} other
+     * @returns {Effect<function(): Promise<[R, B]>>}
+     * @throws {MonadError} 'Improper use of "zip" method'
+     */
+    zip(other) {
+        panicOnAnotherInstance.call(this, other, 'Effect.zip');
+        return Effect.all([this, other])
+    }
+
+    /**
+     * Like zip, but combines the results by the function. It may be ASYNC FUNCTION.
+     * @template B
+     * @template C
+     * @param {Effect<F>} other
+     * @param {function(R, B): C} func
+     * @returns {Effect<function(): Promise<C>>}
+     * @throws {MonadError} 'Improper use of "zipWith" method'
+     */
+    zipWith(other, func) {
+        panicOnAnotherInstance.call(this, other, 'Effect.zipWith');
+        panicIfNotFunction(func, 'Effect.zipWith');
+        return Effect.all([this, other]).mapAsync(async ([left, right]) => await func(left, right))
+    }
+
+    /**
+     * Runs the Effect (SYNC) and gives the outcome as Either - never throws ordinary errors:
+     * Success of the unwrapped result, halted SMonad as Fail (Nothing - Fail of NothingError, Invalid - Fail of the errors),
+     * thrown error as Fail of the error.
+     * @param {*} [env] - see run
+     * @returns {Either}
+     * @throws {MonadError}
+     */
+    runEither(env) {
+        try {
+            return resultToEither(this.run(env))
+        } catch(err) {
+            if (isMonadError(err)) { throw err }
+            return new Fail(err)
+        }
+    }
+
+    /**
+     * ASYNC analog of runEither.
+     * @param {*} [env] - see runAsync
+     * @param {{signal?: AbortSignal} | null} [options] - see runAsync, AbortError is given as Fail
+     * @returns {Promise<Either>}
+     * @throws {MonadError}
+     */
+    async runEitherAsync(env, options) {
+        try {
+            return resultToEither(await this.runAsync(env, options))
+        } catch(err) {
+            if (isMonadError(err)) { throw err }
+            return new Fail(err)
+        }
+    }
+
+    /**
+     * Runs the Effect (SYNC) and gives the outcome as Exit - never throws, even MonadError:
+     * Exit.Success (unwrapped result), Exit.Halt (halted SMonad), Exit.Failure (thrown error), Exit.Defect (MonadError).
+     * @param {*} [env] - see run
+     * @returns {Exit}
+     */
+    runExit(env) {
+        try {
+            return resultToExit(this.run(env))
+        } catch(err) {
+            return errorToExit(err)
+        }
+    }
+
+    /**
+     * ASYNC analog of runExit.
+     * @param {*} [env] - see runAsync
+     * @param {{signal?: AbortSignal} | null} [options] - see runAsync, AbortError is given as Exit.Failure
+     * @returns {Promise<Exit>}
+     */
+    async runExitAsync(env, options) {
+        try {
+            return resultToExit(await this.runAsync(env, options))
+        } catch(err) {
+            return errorToExit(err)
+        }
+    }
+
+    /**
+     * Universal execution: map, chain and catch may return Promises (and Effects of both kinds).
+     * Stays SYNC until the first Promise appears and then continues asynchronously.
+     * So the same chain can be used for SYNC and ASYNC functions.
+     * @param {*} [env] - see run
+     * @returns {R | Promise<R>} the value if no Promise appeared, otherwise Promise of the value
+     * @throws {MonadError}
+     */
+    runAuto(env) { return runEffect(this, true, { ...EMPTY_CONTEXT, env }) }
+
+    /**
+     * @template A
+     * @template E     
+     * @template R     
+     * @param {{onRight?: function(A):R, onHalt?: function(E):R, onValue?: function(*):R}} handlers
+     * Undefined properties are replaced by the identity function: val => val. 
+     * onRight, onHalt - used for results as SMonads(according to the results of the mandatory isRight and isHalt methods).
+     * onValue - used for results as simple values.
+     * @param {*} [env] - environment with dependencies, see run
+     * @returns {R}
+     * @throws {MonadError} Effect - wrong type of the result or improper use of fold method.  
+     */
+    fold(handlers, env) {
+        let { onRight = identical, onHalt = identical, onValue = identical } = handlers;
+        const res = runEffect(this, false, { ...EMPTY_CONTEXT, env });
+        panicOnPromise(res, 'Effect.fold');
+        panicOnLazyMapViolation(res, 'Effect.fold');
+        if (isSMonad(res)) { return res.fold(onRight, onHalt) }
+        else { return onValue(res) }
+    }
+
+    /**
+     * @template A
+     * @template E     
+     * @template R     
+     * @param {{onRight?: function(A):R, onHalt?: function(E):R, onValue?: function(*):R}} handlers
+     * Undefined properties are replaced by the identity function: val => val. 
+     * onRight, onHalt - used for results as SMonads(according to the results of the mandatory isRight and isHalt methods).
+     * onValue - used for results as simple values.
+     * All handlers may be ASYNC FUNCTIONS
+     * @param {*} [env] - environment with dependencies, see run
+     * @returns {Promise<R>}
+     * @throws {MonadError} Effect - wrong type of the result    
+     */
+    async foldAsync(handlers, env) {
+        let { onRight = identical, onHalt = identical, onValue = identical } = handlers;
+        const res = await runEffect(this, false, { ...EMPTY_CONTEXT, env });
+        panicOnLazyMapViolation(res, 'Effect.foldAsync');
+        if (isSMonad(res)) { return await res.fold(onRight, onHalt) }
+        else { return await onValue(res) }
+    }
+
+    /**
+     * Runs the Effect and calls the handler of the concrete variant of the result.
+     * SMonad results are dispatched by their class (see SMonad match), simple values - to cases.Value.
+     * @template R
+     * @param {Object<string, function(*): R>} cases - handlers named after the variants (Success, Fail, Just, Nothing, Valid, Invalid, Value) and the default "_"
+     * @param {*} [env] - environment with dependencies, see run
+     * @returns {R}
+     * @throws {MonadError} Effect - wrong type of the result or there is no handler for the variant
+     */
+    match(cases, env) {
+        const res = runEffect(this, false, { ...EMPTY_CONTEXT, env });
+        panicOnPromise(res, 'Effect.match');
+        panicOnLazyMapViolation(res, 'Effect.match');
+        if (isSMonad(res)) { return res.match(cases) }
+        return matchVariant('Value', res, cases, 'Effect.match')
+    }
+
+    /**
+     * ASYNC analog of match. All handlers may be ASYNC FUNCTIONS
+     * @template R
+     * @param {Object<string, function(*): R>} cases - handlers named after the variants (Success, Fail, Just, Nothing, Valid, Invalid, Value) and the default "_"
+     * @param {*} [env] - environment with dependencies, see run
+     * @returns {Promise<R>}
+     * @throws {MonadError} Effect - wrong type of the result or there is no handler for the variant
+     */
+    async matchAsync(cases, env) {
+        const res = await runEffect(this, false, { ...EMPTY_CONTEXT, env });
+        panicOnLazyMapViolation(res, 'Effect.matchAsync');
+        if (isSMonad(res)) { return await res.match(cases) }
+        return await matchVariant('Value', res, cases, 'Effect.matchAsync')
+    }
+
+    /**    
+     * @template V     
+     * @param {V} val   
+     * @returns {Effect<F>}     
+     */
+    static pure(val) { return new Effect(() => val) }
+
+    /**
+     * Reads the whole environment of the run (see run(env), provide).
+     * @returns {Effect<function(): E>}
+     */
+    static ask() { return derivedEffect((_, ctx) => ctx.env, 'static Effect.ask') }
+
+    /**
+     * Reads one dependency from the environment of the run: env[key].
+     * @param {string|symbol} key
+     * @returns {Effect<function(): *>}
+     * @throws {MonadError} (on run) there is no such service in the environment
+     */
+    static service(key) {
+        return derivedEffect((_, ctx) => {
+            const env = ctx.env;
+            if (env === null || env === undefined || !(key in Object(env))) {
+                throw new MonadError(`static Effect.service - no service "${String(key)}" in the environment.`)
+            }
+            return env[key]
+        }, 'static Effect.service')
+    }
+
+    /**
+     * Runs the effects concurrently (ASYNC). The first settled effect wins: its result (halted SMonad included)
+     * or its error. The rest are aborted through their AbortSignal.
+     * @param {Iterable<Effect<F>>} effects
+     * @returns {Effect<function(): Promise<R>>}
+     * @throws {MonadError} 'Improper use of "race" method' - not effects or empty iterable
+     */
+    static race(effects) {
+        panicIfNotIterable(effects, 'static Effect.race');
+        const list = [...effects];
+        if (list.length === 0) { throw new MonadError('static Effect.race - requires at least one Effect.') }
+        list.forEach(effect => panicOnAnotherInstance.call(Effect.prototype, effect, 'static Effect.race'));
+        return derivedEffect((_, ctx) => raceEffects(list, ctx), 'static Effect.race', list)
+    }
+
+    /**
+     * Safe use of a resource (SYNC): acquire, then use(resource) and always release(resource) - after the result,
+     * halted SMonad or error of use. The halt or error of acquire gives no release.
+     * Nested brackets release in LIFO order. The error of release after the error of use is added to err.suppressed.
+     * @template A
+     * @param {Effect<F>} acquire - its result (unwrapped like in chain) is the resource
+     * @param {function(A): Effect<F>} use
+     * @param {function(A): * | Effect<F>} release - returned Effect is executed, other results are ignored
+     * @returns {Effect<F>}
+     * @throws {MonadError} 'Improper use of "bracket" method'
+     */
+    static bracket(acquire, use, release) {
+        panicOnAnotherInstance.call(Effect.prototype, acquire, 'static Effect.bracket');
+        panicIfNotFunction(use, 'static Effect.bracket');
+        panicIfNotFunction(release, 'static Effect.bracket');
+        return derivedEffect((_, ctx) => bracketEffect(acquire, use, release, ctx), 'static Effect.bracket', [acquire])
+    }
+
+    /**
+     * ASYNC analog of bracket: acquire may be ASYNC Effect, use and release may be ASYNC FUNCTIONS.
+     * Release runs after abort of use too.
+     * @template A
+     * @param {Effect<F>} acquire
+     * @param {function(A): Effect<F> | Promise<Effect<F>>} use
+     * @param {function(A): * | Promise<* | Effect<F>>} release
+     * @returns {Effect<function(): Promise<R>>}
+     * @throws {MonadError} 'Improper use of "bracketAsync" method'
+     */
+    static bracketAsync(acquire, use, release) {
+        panicOnAnotherInstance.call(Effect.prototype, acquire, 'static Effect.bracketAsync');
+        panicIfNotFunction(use, 'static Effect.bracketAsync');
+        panicIfNotFunction(release, 'static Effect.bracketAsync');
+        return derivedEffect((_, ctx) => bracketEffectAsync(acquire, use, release, ctx), 'static Effect.bracketAsync', [acquire])
+    }
+
+    /**
+     * Describes the resource once and gives the function to use it: use => Effect.bracket(acquire, use, release).
+     * @template A
+     * @param {Effect<F>} acquire
+     * @param {function(A): * | Effect<F>} release
+     * @returns {function(function(A): Effect<F>): Effect<F>}
+     * @throws {MonadError} 'Improper use of "acquireRelease" method'
+     */
+    static acquireRelease(acquire, release) {
+        panicOnAnotherInstance.call(Effect.prototype, acquire, 'static Effect.acquireRelease');
+        panicIfNotFunction(release, 'static Effect.acquireRelease');
+        return use => Effect.bracket(acquire, use, release)
+    }
+
+    /**
+     * ASYNC analog of acquireRelease: use => Effect.bracketAsync(acquire, use, release).
+     * @template A
+     * @param {Effect<F>} acquire
+     * @param {function(A): * | Promise<* | Effect<F>>} release
+     * @returns {function(function(A): Effect<F> | Promise<Effect<F>>): Effect<function(): Promise<R>>}
+     * @throws {MonadError} 'Improper use of "acquireReleaseAsync" method'
+     */
+    static acquireReleaseAsync(acquire, release) {
+        panicOnAnotherInstance.call(Effect.prototype, acquire, 'static Effect.acquireReleaseAsync');
+        panicIfNotFunction(release, 'static Effect.acquireReleaseAsync');
+        return use => Effect.bracketAsync(acquire, use, release)
+    }
+
+    /**
+     * Runs the effects concurrently (ASYNC) and collects the unwrapped results into an array in the same order.
+     * The first halted SMonad or error short-circuits: new effects are not started, it becomes the result.
+     * @param {Iterable<Effect<F>>} effects
+     * @param {ParallelOptions} [options] - concurrency (DEFAULT Infinity), cancel - abort the running effects on short-circuit
+     * @returns {Effect<function(): Promise<Array<R>>>}
+     * @throws {MonadError} 'Improper use of "all" method'
+     */
+    static all(effects, options={}) {
+        panicIfNotIterable(effects, 'static Effect.all');
+        const list = [...effects];
+        list.forEach(effect => panicOnAnotherInstance.call(Effect.prototype, effect, 'static Effect.all'));
+        const opts = parallelOptions(options, 'static Effect.all');
+        return derivedEffect((_, ctx) => runParallel(list, identical, opts, false, ctx, 'static Effect.all'), 'static Effect.all', list)
+    }
+
+    /**
+     * Runs all the effects concurrently (ASYNC) without short-circuit. Every result is SMonad:
+     * halted SMonads as is, other results - Success of the unwrapped value, thrown errors - Fail of the error.
+     * @param {Iterable<Effect<F>>} effects
+     * @param {ParallelOptions} [options] - only concurrency is used
+     * @returns {Effect<function(): Promise<Array<SMonad>>>}
+     * @throws {MonadError} 'Improper use of "allSettled" method'
+     */
+    static allSettled(effects, options={}) {
+        panicIfNotIterable(effects, 'static Effect.allSettled');
+        const list = [...effects];
+        list.forEach(effect => panicOnAnotherInstance.call(Effect.prototype, effect, 'static Effect.allSettled'));
+        const opts = parallelOptions(options, 'static Effect.allSettled');
+        return derivedEffect((_, ctx) => runParallel(list, identical, opts, true, ctx, 'static Effect.allSettled'), 'static Effect.allSettled', list)
+    }
+
+    /**
+     * Like Effect.all, but the effects are made from the items by func when a place in the pool is free.
+     * @template T
+     * @param {Iterable<T>} items
+     * @param {function(T, number): Effect<F>} func - (item, index) => Effect
+     * @param {ParallelOptions} [options]
+     * @returns {Effect<function(): Promise<Array<R>>>}
+     * @throws {MonadError} 'Improper use of "forEachPar" method'
+     */
+    static forEachPar(items, func, options={}) {
+        panicIfNotIterable(items, 'static Effect.forEachPar');
+        panicIfNotFunction(func, 'static Effect.forEachPar');
+        const list = [...items];
+        const opts = parallelOptions(options, 'static Effect.forEachPar');
+        return derivedEffect((_, ctx) => runParallel(list, func, opts, false, ctx, 'static Effect.forEachPar'), 'static Effect.forEachPar')
+    }
+
+    /**
+     * Do-notation for Effect. Yielding Effect or SMonad binds its result, the same unwrapping rules as in chain:
+     * a halted SMonad stops the generator and becomes the result of the Effect.
+     * Errors of yielded Effects are thrown at the yield point (can be caught inside the generator
+     * or by the following catch/catchAsync). MonadError is never thrown into the generator.
+     * SYNC generators give a SYNC Effect, async generators - an ASYNC one (use runAsync).
+     * @param {function(): Generator<Effect<F>|SMonad, R, *> | AsyncGenerator<Effect<F>|SMonad, R, *>} genFunc
+     * @returns {Effect<function(): R | Promise<R>>}
+     * @throws {MonadError} 'Improper use of "gen" method'
+     */
+    static gen(genFunc) {
+        panicIfNotFunction(genFunc, 'static Effect.gen');
+        const finish = ([halted, result]) => {
+            if (halted) { return result }
+            panicOnLazyMapViolation(result, 'Effect.gen');
+            if (isRightSMonad(result)) { return unwrapSMonad(result) }
+            return result
+        }
+        const effectNew = (_, ctx) => {
+            const iterator = startGenerator(genFunc, 'Effect.gen');
+            if (isAsyncIterator(iterator)) {
+                const bind = async value => {
+                    panicOnGenYield(value, Effect, 'Effect.gen');
+                    return bindResult(isSMonad(value) ? value : await runEffect(value, false, ctx))
+                }
+                return driveGeneratorAsync(iterator, bind).then(finish)
+            }
+            const bind = value => {
+                panicOnGenYield(value, Effect, 'Effect.gen');
+                if (isSMonad(value)) { return bindResult(value) }
+                const out = runEffect(value, false, ctx);
+                panicOnPromise(out, 'Effect.gen');
+                return bindResult(out)
+            }
+            return finish(driveGenerator(iterator, bind, 'Effect.gen'))
+        }
+        return derivedEffect(effectNew, 'static Effect.gen')
+    }
+
+    /** The steps of wrapped effects (retry, timeout, all...) are counted too, the functions giving effects - are not */
+    toString() { return `Effect(<lazy, ${this._steps} ${this._steps === 1 ? 'step' : 'steps'}>)` }
+}
+
+
+/**
+ * Converts the halted SMonad to Fail: Fail as is, Invalid - Fail of the errors, Nothing - Fail of NothingError.
+ * @param {SMonad} halt
+ * @returns {Fail}
+ */
+function haltToFail(halt) {
+    if (halt instanceof Fail) { return halt }
+    if (halt instanceof Invalid) { return halt.toEither() }
+    return new Fail(new NothingError())
+}
+
+/**
+ * @param {*} out - raw result of Effect
+ * @returns {Either} halted SMonad - as Fail (see haltToFail), other results - Success of the unwrapped value
+ */
+function resultToEither(out) {
+    return isHaltSMonad(out) ? haltToFail(out) : new Success(unwrapRight(out))
+}
+
+/**
+ * @param {*} out - raw result of Effect
+ * @returns {Exit}
+ */
+function resultToExit(out) {
+    return isHaltSMonad(out) ? new Exit('Halt', out) : new Exit('Success', unwrapRight(out))
+}
+
+/**
+ * @param {*} err - thrown error
+ * @returns {Exit} Defect for MonadError, Failure for other errors
+ */
+function errorToExit(err) { return new Exit(isMonadError(err) ? 'Defect' : 'Failure', err) }
+
+
+/**
+ * The outcome of Effect (see Effect.runExit) as a single value with one of four variants:
+ * Success - unwrapped result, Halt - halted SMonad (Fail, Nothing, Invalid),
+ * Failure - thrown error, Defect - MonadError (contract violation).
+ */
+class Exit {
+    /**
+     * @param {'Success'|'Halt'|'Failure'|'Defect'} variant
+     * @param {*} value
+     * @throws {MonadError} unknown variant
+     */
+    constructor(variant, value) {
+        if (!['Success', 'Halt', 'Failure', 'Defect'].includes(variant)) {
+            throw new MonadError(`Exit.constructor - unknown variant ${variant}.`)
+        }
+        this._variant = variant;
+        this._value = value;
+    }
+
+    /** @returns {boolean} for point-by-point introspection */
+    isSuccess() { return this._variant === 'Success' }
+
+    /** @returns {boolean} for point-by-point introspection */
+    isHalt() { return this._variant === 'Halt' }
+
+    /** @returns {boolean} for point-by-point introspection */
+    isFailure() { return this._variant === 'Failure' }
+
+    /** @returns {boolean} for point-by-point introspection */
+    isDefect() { return this._variant === 'Defect' }
+
+    /** @returns {*} the value of any variant: result, halted SMonad or error */
+    result() { return this._value }
+
+    /**
+     * Calls the handler of the variant: cases.Success(value), cases.Halt(container), cases.Failure(error),
+     * cases.Defect(monadError) or the default cases._(value).
+     * @template R
+     * @param {Object<string, function(*): R>} cases
+     * @returns {R}
+     * @throws {MonadError} if there is no handler for the variant and no default "_" handler
+     */
+    match(cases) { return matchVariant(this._variant, this._value, cases, 'Exit.match') }
+
+    /** @returns {string} for Object.prototype.toString: [object Exit] */
+    get [Symbol.toStringTag]() { return 'Exit' }
+
+    /** @returns {string} output of Node's console.log and util.inspect */
+    [INSPECT_CUSTOM]() { return this.toString() }
+
+    toString() { return `Exit.${this._variant}(${inspectValue(this._value)})` }
+}
+
+
+/**
+ * Flat loop over the stored steps of State ([func, kind, isAsync]): chain, map and recovery positions (catch).
+ * After an error only the recovery positions run, without an error they are skipped.
+ * A recovery receives the state given to the run. MonadError is never caught.
+ * @param {State} owner - State instance (or prototype) for the type checks of the returned monads
+ * @param {Array<[Function, string, boolean]>} steps
+ * @param {function(): [*, *]} start - gives the first [value, state]
+ * @param {*} state - the state given to the run
+ * @param {RunContext} ctx
+ * @param {string} method
+ * @returns {[*, *]}
+ * @throws {MonadError} improper use of the steps
+ */
+function iterateState(owner, steps, start, state, ctx, method) {
+    let val, newState, failure = null;
+    try {
+        const initial = start();
+        panicOnPromise(initial, method);
+        [val, newState] = initial;
+    } catch(err) {
+        if (isMonadError(err)) { throw err }
+        failure = { err };
+    }
+    for(const [func, kind] of steps) {
+        if ((kind === CATCH_MTD) !== (failure !== null)) { continue }
+        try {
+            if (kind === CHAIN_MTD) {
+                const stateMonad = func(val);
+                panicOnAnotherInstance.call(owner, stateMonad, method);
+                const result = callState(stateMonad, newState, ctx);
+                panicOnPromise(result, method);
+                [val, newState] = result;
+            } else if (kind === MAP_MTD) {
+                val = func(val);
+                panicOnPromise(val, method);
+                panicOnLazyMapViolation(val, method);
+            } else {
+                const result = func(state);
+                panicOnPromise(result, method);
+                panicOnAnotherLazyMonad.call(owner, result, method);
+                [val, newState] = (result instanceof owner.constructor) ? callState(result, state, ctx) : result;
+                failure = null;
+            }
+        } catch(err) {
+            if (isMonadError(err)) { throw err }
+            failure = { err };
+        }
+    }
+    if (failure !== null) { throw failure.err }
+    return [val, newState]
+}
+
+/**
+ * ASYNC version of iterateState: every step is awaited in turn, SYNC steps are possible.
+ * @async
+ * @param {State} owner
+ * @param {Array<[Function, string, boolean]>} steps
+ * @param {function(): [*, *] | Promise<[*, *]>} start
+ * @param {*} state
+ * @param {RunContext} ctx
+ * @param {string} method
+ * @returns {Promise<[*, *]>}
+ * @throws {MonadError} improper use of the steps
+ */
+async function iterateStateAsync(owner, steps, start, state, ctx, method) {
+    let val, newState, failure = null;
+    try {
+        [val, newState] = await start();
+    } catch(err) {
+        if (isMonadError(err)) { throw err }
+        failure = { err };
+    }
+    for(const [func, kind] of steps) {
+        if ((kind === CATCH_MTD) !== (failure !== null)) { continue }
+        try {
+            if (kind === CHAIN_MTD) {
+                const stateMonad = await func(val);
+                panicOnAnotherInstance.call(owner, stateMonad, method);
+                [val, newState] = await callState(stateMonad, newState, ctx);
+            } else if (kind === MAP_MTD) {
+                val = await func(val);
+                panicOnLazyMapViolation(val, method);
+            } else {
+                const result = await func(state);
+                panicOnAnotherLazyMonad.call(owner, result, method);
+                [val, newState] = (result instanceof owner.constructor) ? await callState(result, state, ctx) : result;
+                failure = null;
+            }
+        } catch(err) {
+            if (isMonadError(err)) { throw err }
+            failure = { err };
+        }
+    }
+    if (failure !== null) { throw failure.err }
+    return [val, newState]
+}
+
+/**
+ * Runs the function of the State. Functions made by the library receive the context of the run as the second argument,
+ * user functions (State.of) - only the state.
+ * @param {State} monad
+ * @param {*} state
+ * @param {RunContext} ctx
+ * @returns {[*, *] | Promise<[*, *]>}
+ */
+function callState(monad, state, ctx) { return monad._internal ? monad._value(state, ctx) : monad._value(state) }
+
+/**
+ * @param {function(*, RunContext): [*, *] | Promise<[*, *]>} run
+ * @returns {State} State with the function made by the library
+ */
+function internalState(run) {
+    const monad = new State(run);
+    monad._internal = true;
+    return monad
+}
+
+/**
+ * Makes the State of one step of the chain. Run functions of the steps receive the context of the run (tracer)
+ * as the second argument and give it to the previous steps and inner states.
+ * @param {string} method
+ * @param {function({monad: string, method: string, label: string|null, index: null}): function(*, RunContext): *} build
+ * gives the run function of the step by its trace info
+ * @param {string|null} [label]
+ * @returns {State}
+ */
+function stateStep(method, build, label=null) {
+    const next = internalState(build({ monad: 'State', method, label, index: null }));
+    next._relabel = newLabel => stateStep(method, build, newLabel);
+    return next
+}
+
+
+/** 
+ * @template F
+ * @extends {LMonad}
+ * Works with functions like (S) => [V, S], where V - some value, S - your changeable state.
+ * Async functions are possible.
+ */
+class State extends LMonad {
+    /** 
+     * @template V 
+     * @template S   
+     * @param {function(S): [V, S]} runState
+     * @returns {State<F>}
+     * @throws {MonadError} State requires a function  
+     */
+    static of(runState) {
+        panicIfNotFunction(runState, 'static State.of'); 
+        return new State(runState)
+    }
+
+    /**   
+     * @template V 
+     * @template S 
+     * @param {function(S): [V, S] | Promise<[V, S]>} runState   
+     * @returns {State<function(S): [V, S]>}
+     * @throws {MonadError} State requires a function      
+     */
+    constructor(runState) {        
+        panicIfNotFunction(runState, 'State.constructor'); 
+        super(runState);        
+        this._iterStore = [];
+        /** @type {boolean} the function is made by the library and receives the context of the run (see callState) */
+        this._internal = false;
+        /** @type {function(string): State | null} rebuilds the last step with a new label (see named) */
+        this._relabel = null;
+    }
+
+    /**
+     * @template V 
      * @param {function(V): State<F>} func 
      * @returns {State<F>}
      * @throws {MonadError} 'Improper use of "chain" method'
      */
     chain(func) {
-        const newRun = (state) => {
-            const initial = this._value(state);
-            panicOnPromise(initial, 'State.chain');
-            const [val, firstState] = initial;
-            const stateMonad = func(val);
-            panicOnAnotherInstance.call(this, stateMonad, 'State.chain'); 
-            return stateMonad._value(firstState)
+        return stateStep('State.chain', info => (state, ctx=EMPTY_CONTEXT) => {
+            const initial = callState(this, state, ctx);
+            panicOnPromise(initial, 'State.chain');
+            const [val, firstState] = initial;
+            return traceCall(activeTracer(ctx), info, false, () => {
+                const stateMonad = func(val);
+                panicOnAnotherInstance.call(this, stateMonad, 'State.chain'); 
+                return callState(stateMonad, firstState, ctx)
+            })
+        })
+    }
+
+    /**
+     * @template V 
+     * @param {function(V): Promise<State<F>>} func 
+     * @returns {Promise<State<F>>}
+     * @throws {MonadError} 'Improper use of "chain" method'
+     */
+    chainAsync(func) {
+        return stateStep('State.chainAsync', info => async (state, ctx=EMPTY_CONTEXT) => {
+            const initial = await callState(this, state, ctx);            
+            const [val, firstState] = initial;
+            return await traceCall(activeTracer(ctx), info, false, async () => {
+                const stateMonad = await func(val);
+                panicOnAnotherInstance.call(this, stateMonad, 'State.chainAsync'); 
+                return await callState(stateMonad, firstState, ctx)
+            })
+        })
+    }
+
+    /**
+     * @template V 
+     * @param {function(V): V} func 
+     * @returns {State<F>}
+     * @throws {MonadError} 'Improper use of "map" method - func must NOT return a Monad'
+     */
+    map(func) {
+        return stateStep('State.map', info => (state, ctx=EMPTY_CONTEXT) => {
+            const initial = callState(this, state, ctx);
+            panicOnPromise(initial, 'State.map');
+            const [val, firstState] = initial;
+            return traceCall(activeTracer(ctx), info, false, () => {
+                const newVal = func(val);
+                panicOnPromise(newVal, 'State.map');
+                panicOnLazyMapViolation(newVal, 'State.map');
+                return [newVal, firstState]
+            })
+        })
+    }
+
+    /**
+     * @template V 
+     * @param {function(V): Promise<V>} func 
+     * @returns {State<F>}
+     * @throws {MonadError} 'Improper use of "map" method - func must NOT return a Monad'
+     */
+    mapAsync(func) {
+        return stateStep('State.mapAsync', info => async (state, ctx=EMPTY_CONTEXT) => {
+            const initial = await callState(this, state, ctx);            
+            const [val, firstState] = initial;
+            return await traceCall(activeTracer(ctx), info, false, async () => {
+                const newVal = await func(val);            
+                panicOnLazyMapViolation(newVal, 'State.mapAsync');
+                return [newVal, firstState]
+            })
+        })
+    }
+
+    /** 
+     * Recover from errors (SYNC)
+     * @template V 
+     * @template S       
+     * @param {function(S): [V, S] | State<F>} func
+     * @returns {State<F>}
+     * @throws {MonadError} 'Improper use of "catch" method'
+     */
+    catch(func) {        
+        return stateStep('State.catch', info => (state, ctx=EMPTY_CONTEXT) => {            
+            try {
+                const initial = callState(this, state, ctx);
+                panicOnPromise(initial, 'State.catch');                             
+                return initial
+            } catch(err) { 
+                if (isMonadError(err)) { throw err }        
+                return traceCall(activeTracer(ctx), info, true, () => {
+                    const result = func(state);
+                    panicOnPromise(result, 'State.catch');                             
+                    panicOnAnotherLazyMonad.call(this, result, 'State.catch');
+                    return (result instanceof this.constructor) ? callState(result, state, ctx) : result
+                })
+            }
+        })
+    }
+
+    /** 
+     * Recover from errors (ASYNC)
+     * @template V 
+     * @template S       
+     * @param {function(S): Promise<[V, S] | State<F>>} func
+     * @returns {State<F>}
+     * @throws {MonadError} 'Improper use of "catchAsync" method'
+     */
+    catchAsync(func) {
+        return stateStep('State.catchAsync', info => async (state, ctx=EMPTY_CONTEXT) => {            
+            try {                
+                return await callState(this, state, ctx);               
+            } catch(err) { 
+                if (isMonadError(err)) { throw err }        
+                return await traceCall(activeTracer(ctx), info, true, async () => {
+                    const result = await func(state);                                                          
+                    panicOnAnotherLazyMonad.call(this, result, 'State.catchAsync');
+                    return (result instanceof this.constructor) ? await callState(result, state, ctx) : result
+                })
+            }
+        })
+    }
+
+    /**
+     * Gives the name to the last step of the chain for tracing (the initial function becomes a traced step).
+     * @param {string} label
+     * @returns {State<F>}
+     * @throws {MonadError} label must be a string
+     */
+    named(label) {
+        if (typeof label !== 'string') { throw new MonadError('State.named - label must be a string.') }
+        if (this._relabel !== null) { return this._relabel(label) }
+        return stateStep('State.of', info => (state, ctx=EMPTY_CONTEXT) => {
+            return traceCall(activeTracer(ctx), info, false, () => callState(this, state, ctx))
+        }, label)
+    }
+
+    /**
+     * The chain before this point (inner states included) reports its steps to the tracer instead of the global one.
+     * @param {function(TraceEvent): void} tracer - see LMonad.consoleTracer, LMonad.traceCollector
+     * @returns {State<F>}
+     * @throws {MonadError} tracer must be a function
+     */
+    traced(tracer) {
+        panicIfNotFunction(tracer, 'State.traced');
+        return internalState((state, ctx=EMPTY_CONTEXT) => callState(this, state, { ...ctx, tracer }))
+    }
+
+    /**    
+     * @template V 
+     * @template S 
+     * @param {S} state    
+     * @returns {[V,S]}
+     */
+    run(state) {
+        const result = this._value(state);
+        panicOnPromise(result, 'State.run');
+        return result
+    }
+
+    /**
+     * @async    
+     * @template V 
+     * @template S 
+     * @param {S} state    
+     * @returns {Promise<[V,S]>}
+     */
+    async runAsync(state) { return await this._value(state) }
+
+    /**    
+     * @template V 
+     * @template S 
+     * @param {S} state    
+     * @returns {[V,S]}
+     * The same as run. Made for interface uniformity with Effect monad 
+     */
+    fold(state) {
+        const result = this._value(state);
+        panicOnPromise(result, 'State.fold');
+        return result
+    }
+    
+    /**    
+     * @async
+     * @template V 
+     * @template S 
+     * @param {S} state    
+     * @returns {Promise<[V,S]>}
+     * The same as runAsync. Made for interface uniformity with Effect monad 
+     */
+    async foldAsync(state) { return await this._value(state) } 
+    
+    toString() { return 'State(<lazy>)' }
+
+    /**
+     * @template V 
+     * @param {function(V): State<F>} func 
+     * @returns {void}   
+     * Stores functions in an array for execution through flat iteration.
+     * It can be useful for very long chains to avoid possible stack overflows. 
+     * !!!-MATTER-!!!: returns the same monad - folding functions into its current structure.
+     * Only for SYNC functions.   
+     */
+    chainIter(func) { this._iterStore.push([func, CHAIN_MTD, false]); return this }
+
+    /**
+     * @template V 
+     * @param {function(V): V} func 
+     * @returns {void} 
+     * Stores functions in an array for execution through flat iteration.
+     * It can be useful for very long chains to avoid possible stack overflows.  
+     * !!!-MATTER-!!!: returns the same monad - folding functions into its current structure.
+     * Only for SYNC functions.    
+     */
+    mapIter(func) { this._iterStore.push([func, MAP_MTD, false]); return this }
+
+    /**
+     * @template V 
+     * @param {function(V): Promise<State<F>>} func 
+     * @returns {void}   
+     * The same as chainIter for ASYNC functions. Requires runIterAsync.
+     * !!!-MATTER-!!!: returns the same monad - folding functions into its current structure.
+     */
+    chainIterAsync(func) { this._iterStore.push([func, CHAIN_MTD, true]); return this }
+
+    /**
+     * @template V 
+     * @param {function(V): Promise<V>} func 
+     * @returns {void} 
+     * The same as mapIter for ASYNC functions. Requires runIterAsync.
+     * !!!-MATTER-!!!: returns the same monad - folding functions into its current structure.
+     */
+    mapIterAsync(func) { this._iterStore.push([func, MAP_MTD, true]); return this }
+
+    /**
+     * @template V 
+     * @template S 
+     * @param {function(S): [V, S] | State<F> | Promise<[V, S] | State<F>>} func
+     * @returns {void} 
+     * Recovery position of the flat iteration: like catch/catchAsync, it handles errors of everything before it
+     * and receives the state given to runIter/runIterAsync. ASYNC functions require runIterAsync.
+     * !!!-MATTER-!!!: returns the same monad - folding functions into its current structure.
+     */
+    catchIter(func) { this._iterStore.push([func, CATCH_MTD, false]); return this }
+
+    /**    
+     * @template V 
+     * @template S 
+     * @param {S} state
+     * @param {boolean} clear if true - clear iteration structure after execution. DEFAULT true.   
+     * @returns {[V,S]}
+     * @throws {MonadError} Improper use of chainIter, mapIter and catchIter methods
+     * First, it runs the standard run() method.
+     * And then iterates over the functions added through chainIter, mapIter and catchIter methods.
+     * Only for SYNC functions.
+     */
+    runIter(state, clear=true) {
+        try {
+            if (this._iterStore.some(([, , isAsync]) => isAsync)) {
+                throw new MonadError('State.runIter - chainIterAsync and mapIterAsync require runIterAsync.')
+            }
+            return iterateState(this, this._iterStore, () => this._value(state), state, EMPTY_CONTEXT, 'State.runIter')
+        } finally {
+            if(clear) { this._iterStore = [] }
+        }        
+    }
+
+    /**    
+     * @async
+     * @template V 
+     * @template S 
+     * @param {S} state
+     * @param {boolean} clear if true - clear iteration structure after execution. DEFAULT true.   
+     * @returns {Promise<[V,S]>}
+     * @throws {MonadError} Improper use of ...Iter methods
+     * The same as runIter for SYNC and ASYNC functions: steps are awaited one by one in a flat loop.
+     */
+    async runIterAsync(state, clear=true) {
+        try {
+            return await iterateStateAsync(this, this._iterStore, () => this._value(state), state, EMPTY_CONTEXT, 'State.runIterAsync')
+        } finally {
+            if(clear) { this._iterStore = [] }
+        }        
+    }
+
+    /**    
+     * @template V     
+     * @param {V} val   
+     * @returns {State<F>}     
+     */
+    static pure(val) { return new State(state => [val, state]) }
+
+    /**
+     * Do-notation for State. Yielding State runs it with the current state and binds its value,
+     * yielding SMonad binds the unwrapped value. A halted SMonad stops the generator: [halted SMonad, current state].
+     * Errors of yielded States are thrown at the yield point (can be caught inside the generator
+     * or by the following catch/catchAsync). MonadError is never thrown into the generator.
+     * SYNC generators give a SYNC State, async generators - an ASYNC one (use runAsync).
+     * @template V
+     * @template S
+     * @param {function(): Generator<State<F>|SMonad, V, *> | AsyncGenerator<State<F>|SMonad, V, *>} genFunc
+     * @returns {State<function(S): [V, S] | Promise<[V, S]>>}
+     * @throws {MonadError} 'Improper use of "gen" method'
+     */
+    static gen(genFunc) {
+        panicIfNotFunction(genFunc, 'static State.gen');
+        const newRun = (state, ctx=EMPTY_CONTEXT) => {
+            const finish = ([halted, result]) => {
+                if (!halted) { panicOnLazyMapViolation(result, 'State.gen') }
+                return [result, state]
+            }
+            const iterator = startGenerator(genFunc, 'State.gen');
+            if (isAsyncIterator(iterator)) {
+                const bind = async value => {
+                    panicOnGenYield(value, State, 'State.gen');
+                    if (isSMonad(value)) { return bindResult(value) }
+                    const [val, newState] = await callState(value, state, ctx);
+                    state = newState;
+                    return [false, val]
+                }
+                return driveGeneratorAsync(iterator, bind).then(finish)
+            }
+            const bind = value => {
+                panicOnGenYield(value, State, 'State.gen');
+                if (isSMonad(value)) { return bindResult(value) }
+                const result = callState(value, state, ctx);
+                panicOnPromise(result, 'State.gen');
+                const [val, newState] = result;
+                state = newState;
+                return [false, val]
+            }
+            return finish(driveGenerator(iterator, bind, 'State.gen'))
+        }
+        return internalState(newRun)
+    }
+    
+    /** @returns {State<function(S): [S, S]>} */
+    static get() { return new State(state => [state, state]) }
+    
+    /** 
+     * @template S     
+     * @param {S} newState     
+     * @returns {State<function(S): [null, S]>}     
+     */
+    static put(newState) { return new State(_ => [null, newState]) }
+
+    /**
+     * Immutable builder of flat State chains (see StateProgram). Unlike ...Iter methods, it can be reused and shared.
+     * @returns {StateProgram} the program without steps: [undefined, state]
+     */
+    static program() { return EMPTY_PROGRAM }
+}
+
+
+/**
+ * Immutable list of State steps, executed through flat iteration like runIter.
+ * Every method returns a new program, the steps before are shared (persistent list), so the program is reusable.
+ * Steps are [func, kind, isAsync]: the same as in State._iterStore.
+ */
+class StateProgram {
+    /**
+     * @param {{prev: object|null, step: [Function, string, boolean]} | null} last - the last node of the list
+     * @param {number} size
+     * @param {boolean} hasAsync
+     */
+    constructor(last, size, hasAsync) {
+        this._last = last;
+        this._size = size;
+        this._hasAsync = hasAsync;
+        Object.freeze(this);
+    }
+
+    /**
+     * @template V 
+     * @param {function(V): State} func 
+     * @returns {StateProgram}
+     * @throws {MonadError} func must be a function
+     */
+    chain(func) { return appendProgramStep(this, func, CHAIN_MTD, false, 'StateProgram.chain') }
+
+    /**
+     * @template V 
+     * @param {function(V): Promise<State>} func 
+     * @returns {StateProgram}
+     * @throws {MonadError} func must be a function
+     */
+    chainAsync(func) { return appendProgramStep(this, func, CHAIN_MTD, true, 'StateProgram.chainAsync') }
+
+    /**
+     * @template V 
+     * @param {function(V): V} func 
+     * @returns {StateProgram}
+     * @throws {MonadError} func must be a function
+     */
+    map(func) { return appendProgramStep(this, func, MAP_MTD, false, 'StateProgram.map') }
+
+    /**
+     * @template V 
+     * @param {function(V): Promise<V>} func 
+     * @returns {StateProgram}
+     * @throws {MonadError} func must be a function
+     */
+    mapAsync(func) { return appendProgramStep(this, func, MAP_MTD, true, 'StateProgram.mapAsync') }
+
+    /**
+     * Recovery position: handles errors of all the steps before it, receives the state given to the run.
+     * @template V 
+     * @template S 
+     * @param {function(S): [V, S] | State} func 
+     * @returns {StateProgram}
+     * @throws {MonadError} func must be a function
+     */
+    catch(func) { return appendProgramStep(this, func, CATCH_MTD, false, 'StateProgram.catch') }
+
+    /**
+     * @template V 
+     * @template S 
+     * @param {function(S): Promise<[V, S] | State>} func 
+     * @returns {StateProgram}
+     * @throws {MonadError} func must be a function
+     */
+    catchAsync(func) { return appendProgramStep(this, func, CATCH_MTD, true, 'StateProgram.catchAsync') }
+
+    /**
+     * The steps of this program followed by the steps of the other one. Both programs stay unchanged.
+     * @param {StateProgram} other
+     * @returns {StateProgram}
+     * @throws {MonadError} other must be StateProgram
+     */
+    concat(other) {
+        if (!(other instanceof StateProgram)) { throw new MonadError('StateProgram.concat - requires another StateProgram.') }
+        let last = this._last;
+        for(const step of other._steps()) { last = { prev: last, step } }
+        return new StateProgram(last, this._size + other._size, this._hasAsync || other._hasAsync)
+    }
+
+    /**
+     * @returns {Array<[Function, string, boolean]>} the steps in the order of execution
+     */
+    _steps() {
+        const steps = new Array(this._size);
+        let node = this._last;
+        for(let i = this._size - 1; i >= 0; i--) { steps[i] = node.step; node = node.prev }
+        return steps
+    }
+
+    /**
+     * State running the program: SYNC if all the steps are SYNC, otherwise ASYNC (use runAsync).
+     * Can be used in the chains of State, the context of the run (tracer, see State.traced) is passed to inner states.
+     * @returns {State}
+     */
+    toState() {
+        const steps = this._steps();
+        const iterate = this._hasAsync ? iterateStateAsync : iterateState;
+        return internalState((state, ctx=EMPTY_CONTEXT) => {
+            return iterate(State.prototype, steps, () => [undefined, state], state, ctx, 'StateProgram.run')
+        })
+    }
+
+    /**
+     * @template V 
+     * @template S 
+     * @param {S} state    
+     * @returns {[V,S]}
+     * @throws {MonadError} async steps require runAsync
+     */
+    run(state) {
+        if (this._hasAsync) { throw new MonadError('StateProgram.run - async steps require runAsync.') }
+        return iterateState(State.prototype, this._steps(), () => [undefined, state], state, EMPTY_CONTEXT, 'StateProgram.run')
+    }
+
+    /**
+     * @async
+     * @template V 
+     * @template S 
+     * @param {S} state    
+     * @returns {Promise<[V,S]>}
+     */
+    async runAsync(state) {
+        return await iterateStateAsync(State.prototype, this._steps(), () => [undefined, state], state, EMPTY_CONTEXT, 'StateProgram.runAsync')
+    }
+
+    toString() { return `StateProgram(${this._size} ${this._size === 1 ? 'step' : 'steps'})` }
+}
+
+/** @type {StateProgram} */
+const EMPTY_PROGRAM = new StateProgram(null, 0, false);
+
+/**
+ * @param {StateProgram} program
+ * @param {Function} func
+ * @param {string} kind - CHAIN_MTD, MAP_MTD or CATCH_MTD
+ * @param {boolean} isAsync
+ * @param {string} method
+ * @returns {StateProgram}
+ * @throws {MonadError} func must be a function
+ */
+function appendProgramStep(program, func, kind, isAsync, method) {
+    panicIfNotFunction(func, method);
+    const last = { prev: program._last, step: [func, kind, isAsync] };
+    return new StateProgram(last, program._size + 1, program._hasAsync || isAsync)
+}
+
+
+/** 
+ * @template F
+ * @extends {LMonad}
+ * Works with functions like (E) => V, where E - read-only environment (configuration, dependencies), V - some value.
+ * Pure: the environment is given at run, nothing is executed before. Async functions are possible.
+ */
+class Reader extends LMonad {
+    /** 
+     * @template E
+     * @template V 
+     * @param {function(E): V} runReader
+     * @returns {Reader<F>}
+     * @throws {MonadError} Reader requires a function  
+     */
+    static of(runReader) {
+        panicIfNotFunction(runReader, 'static Reader.of'); 
+        return new Reader(runReader)
+    }
+
+    /**   
+     * @template E
+     * @template V 
+     * @param {function(E): V | Promise<V>} runReader   
+     * @throws {MonadError} Reader requires a function      
+     */
+    constructor(runReader) {        
+        panicIfNotFunction(runReader, 'Reader.constructor'); 
+        super(runReader);
+    }
+
+    /**
+     * @template V 
+     * @param {function(V): Reader<F>} func - the returned Reader is run with the same environment
+     * @returns {Reader<F>}
+     * @throws {MonadError} 'Improper use of "chain" method'
+     */
+    chain(func) {
+        const newRun = (env) => {
+            const val = this._value(env);
+            panicOnPromise(val, 'Reader.chain');
+            const reader = func(val);
+            panicOnAnotherInstance.call(this, reader, 'Reader.chain'); 
+            return reader._value(env)
         }
-        return new State(newRun)
+        return new Reader(newRun)
     }
 
     /**
      * @template V 
-     * @param {function(V): Promise<State<F>>} func 
-     * @returns {Promise<State<F>>}
-     * @throws {MonadError} 'Improper use of "chain" method'
+     * @param {function(V): Promise<Reader<F>>} func 
+     * @returns {Reader<F>}
+     * @throws {MonadError} 'Improper use of "chainAsync" method'
      */
     chainAsync(func) {
-        const newRun = async (state) => {
-            const initial = await this._value(state);            
-            const [val, firstState] = initial;
-            const stateMonad = await func(val);
-            panicOnAnotherInstance.call(this, stateMonad, 'State.chainAsync'); 
-            return await stateMonad._value(firstState)
+        const newRun = async (env) => {
+            const val = await this._value(env);
+            const reader = await func(val);
+            panicOnAnotherInstance.call(this, reader, 'Reader.chainAsync'); 
+            return await reader._value(env)
         }
-        return new State(newRun)
+        return new Reader(newRun)
     }
 
     /**
      * @template V 
      * @param {function(V): V} func 
-     * @returns {State<F>}
+     * @returns {Reader<F>}
      * @throws {MonadError} 'Improper use of "map" method - func must NOT return a Monad'
      */
     map(func) {
-        const newRun = (state) => {
-            const initial = this._value(state);
-            panicOnPromise(initial, 'State.map');
-            const [val, firstState] = initial;
+        const newRun = (env) => {
+            const val = this._value(env);
+            panicOnPromise(val, 'Reader.map');
             const newVal = func(val);
-            panicOnPromise(newVal, 'State.map');
-            panicOnLazyMapViolation(newVal, 'State.map');
-            return [newVal, firstState]
+            panicOnPromise(newVal, 'Reader.map');
+            panicOnLazyMapViolation(newVal, 'Reader.map');
+            return newVal
         }
-        return new State(newRun)
+        return new Reader(newRun)
     }
 
     /**
      * @template V 
      * @param {function(V): Promise<V>} func 
-     * @returns {State<F>}
-     * @throws {MonadError} 'Improper use of "map" method - func must NOT return a Monad'
+     * @returns {Reader<F>}
+     * @throws {MonadError} 'Improper use of "mapAsync" method - func must NOT return a Monad'
      */
     mapAsync(func) {
-        const newRun = async (state) => {
-            const initial = await this._value(state);            
-            const [val, firstState] = initial;
-            const newVal = await func(val);            
-            panicOnLazyMapViolation(newVal, 'State.mapAsync');
-            return [newVal, firstState]
-        }
-        return new State(newRun)
-    }
-
-    /** 
-     * Recover from errors (SYNC)
-     * @template V 
-     * @template S       
-     * @param {function(S): [V, S] | State<F>} func
-     * @returns {State<F>}
-     * @throws {MonadError} 'Improper use of "catch" method'
-     */
-    catch(func) {        
-        const newRun = (state) => {            
-            try {
-                const initial = this._value(state);
-                panicOnPromise(initial, 'State.catch');                             
-                return initial
-            } catch(err) { 
-                if (isMonadError(err)) { throw err }        
-                const result = func(state);
-                panicOnPromise(result, 'State.catch');                             
-                panicOnAnotherLazyMonad.call(this, result, 'State.catch');
-                return (result instanceof this.constructor) ? result._value(state) : result               
-            }
+        const newRun = async (env) => {
+            const val = await this._value(env);
+            const newVal = await func(val);
+            panicOnLazyMapViolation(newVal, 'Reader.mapAsync');
+            return newVal
         }
-        return new State(newRun)    
+        return new Reader(newRun)
     }
 
-    /** 
-     * Recover from errors (ASYNC)
-     * @template V 
-     * @template S       
-     * @param {function(S): Promise<[V, S] | State<F>>} func
-     * @returns {State<F>}
-     * @throws {MonadError} 'Improper use of "catchAsync" method'
+    /**
+     * Runs this Reader with the modified environment, the outer environment is not changed.
+     * @template E
+     * @param {function(E): E} func - env => localEnv
+     * @returns {Reader<F>}
+     * @throws {MonadError} 'Improper use of "local" method'
      */
-    catchAsync(func) {
-        const newRun = async (state) => {            
-            try {                
-                return await this._value(state);               
-            } catch(err) { 
-                if (isMonadError(err)) { throw err }        
-                const result = await func(state);                                                          
-                panicOnAnotherLazyMonad.call(this, result, 'State.catchAsync');
-                return (result instanceof this.constructor) ? await result._value(state) : result               
-            }
-        }
-        return new State(newRun)    
+    local(func) {
+        panicIfNotFunction(func, 'Reader.local');
+        return new Reader(env => this._value(func(env)))
     }
 
     /**    
+     * @template E
      * @template V 
-     * @template S 
-     * @param {S} state    
-     * @returns {[V,S]}
+     * @param {E} env    
+     * @returns {V}
      */
-    run(state) {
-        const result = this._value(state);
-        panicOnPromise(result, 'State.run');
+    run(env) {
+        const result = this._value(env);
+        panicOnPromise(result, 'Reader.run');
         return result
     }
 
     /**
      * @async    
+     * @template E
      * @template V 
-     * @template S 
-     * @param {S} state    
-     * @returns {Promise<[V,S]>}
+     * @param {E} env    
+     * @returns {Promise<V>}
      */
-    async runAsync(state) { return await this._value(state) }
+    async runAsync(env) { return await this._value(env) }
 
     /**    
-     * @template V 
-     * @template S 
-     * @param {S} state    
-     * @returns {[V,S]}
+     * @param {E} env    
+     * @returns {V}
      * The same as run. Made for interface uniformity with Effect monad 
      */
-    fold(state) {
-        const result = this._value(state);
-        panicOnPromise(result, 'State.fold');
+    fold(env) {
+        const result = this._value(env);
+        panicOnPromise(result, 'Reader.fold');
         return result
     }
     
     /**    
      * @async
-     * @template V 
-     * @template S 
-     * @param {S} state    
-     * @returns {Promise<[V,S]>}
+     * @param {E} env    
+     * @returns {Promise<V>}
      * The same as runAsync. Made for interface uniformity with Effect monad 
      */
-    async foldAsync(state) { return await this._value(state) } 
-    
-    toString() { return `State(${this._value})`}
+    async foldAsync(env) { return await this._value(env) } 
+
+    toString() { return 'Reader(<lazy>)' }
+
+    /**    
+     * @template V     
+     * @param {V} val   
+     * @returns {Reader<F>}     
+     */
+    static pure(val) { return new Reader(_ => val) }
+
+    /** @returns {Reader<function(E): E>} the whole environment */
+    static ask() { return new Reader(env => env) }
+
+    /**
+     * @template E
+     * @template V
+     * @param {function(E): V} func - selects a part of the environment
+     * @returns {Reader<function(E): V>}
+     * @throws {MonadError} Reader requires a function
+     */
+    static asks(func) {
+        panicIfNotFunction(func, 'static Reader.asks');
+        return new Reader(env => func(env))
+    }
+}
+
+
+/**
+ * @typedef {Object} Monoid - combination of the logs of Writer
+ * @property {*} empty - log without entries
+ * @property {function(*, *): *} concat - (log1, log2) => log, must not mutate the arguments
+ * @property {function(*): *} [of] - entry => log of one entry (Writer.tell). DEFAULT entry => entry
+ */
+
+/** @type {Object<string, Monoid>} built-in monoids of Writer */
+const WRITER_MONOIDS = {
+    array: { empty: [], concat: (a, b) => a.concat(b), of: entry => [entry] },
+    string: { empty: '', concat: (a, b) => a + b, of: entry => String(entry) },
+};
+
+/** @type {WeakMap<Monoid, Required<Monoid>>} custom monoids resolved once: the same object - the same monoid */
+const resolvedMonoids = new WeakMap();
+
+/**
+ * @param {'array'|'string'|Monoid} monoid
+ * @param {string} method
+ * @returns {Required<Monoid>}
+ * @throws {MonadError} unknown name or wrong monoid
+ */
+function resolveMonoid(monoid, method) {
+    if (typeof monoid === 'string') {
+        if (!hasOwn(WRITER_MONOIDS, monoid)) { throw new MonadError(`${method} - unknown monoid "${monoid}", use array, string or {empty, concat}.`) }
+        return WRITER_MONOIDS[monoid]
+    }
+    panicIfNotRecord(monoid, method);
+    if (!hasOwn(monoid, 'empty')) { throw new MonadError(`${method} - monoid requires "empty" log.`) }
+    panicIfNotFunction(monoid.concat, method);
+    if (monoid.of !== undefined) { panicIfNotFunction(monoid.of, method) }
+    if (Object.values(WRITER_MONOIDS).includes(monoid)) { return monoid }
+    if (!resolvedMonoids.has(monoid)) {
+        const resolved = { of: identical, ...monoid };
+        resolvedMonoids.set(monoid, resolved);
+        resolvedMonoids.set(resolved, resolved);
+    }
+    return resolvedMonoids.get(monoid)
+}
+
+/**
+ * NEED FOR apply, call or bind, because has 'this' inside!
+ * @returns {void}
+ * @throws {MonadError} - throws if the logs of the Writers are combined by different monoids
+ */
+function panicOnAnotherMonoid(writer, method) {
+    if (writer._monoid !== this._monoid) {
+        throw new MonadError(`${method} - improper use, the Writers must have the same monoid of the log`)
+    }
+}
+
+/** 
+ * @template F
+ * @extends {LMonad}
+ * Works with functions like () => [V, L], where V - some value, L - log accumulated alongside.
+ * Logs of the steps are combined by the monoid of the Writer (array concat by default).
+ * SMonads are unwrapped like in Effect: functions receive the values of right SMonads (Success/Just/Valid),
+ * a halted SMonad skips the following map and chain, but the log is kept. Async functions are possible.
+ */
+class Writer extends LMonad {
+    /** 
+     * @template V 
+     * @template L
+     * @param {function(): [V, L]} runWriter
+     * @param {'array'|'string'|Monoid} [monoid] - DEFAULT 'array'
+     * @returns {Writer<F>}
+     * @throws {MonadError} Writer requires a function and a proper monoid 
+     */
+    static of(runWriter, monoid='array') {
+        panicIfNotFunction(runWriter, 'static Writer.of'); 
+        return new Writer(runWriter, monoid)
+    }
+
+    /**   
+     * @param {function(): [V, L] | Promise<[V, L]>} runWriter   
+     * @param {'array'|'string'|Monoid} [monoid] - DEFAULT 'array'
+     * @throws {MonadError} Writer requires a function and a proper monoid
+     */
+    constructor(runWriter, monoid='array') {        
+        panicIfNotFunction(runWriter, 'Writer.constructor'); 
+        super(runWriter);
+        this._monoid = resolveMonoid(monoid, 'Writer.constructor');
+    }
 
     /**
      * @template V 
-     * @param {function(V): State<F>} func 
-     * @returns {void}   
-     * Stores functions in an array for execution through flat iteration.
-     * It can be useful for very long chains to avoid possible stack overflows. 
-     * !!!-MATTER-!!!: returns the same monad - folding functions into its current structure.
-     * Only for SYNC functions.   
+     * @param {function(V): Writer<F>} func - the log of the returned Writer is added to the current one
+     * @returns {Writer<F>}
+     * @throws {MonadError} 'Improper use of "chain" method'
      */
-    chainIter(func) { this._iterStore.push([func, CHAIN_MTD]); return this }
+    chain(func) {
+        const newRun = () => {
+            const initial = this._value();
+            panicOnPromise(initial, 'Writer.chain');
+            const [val, log] = initial;
+            if (isHaltSMonad(val)) { return initial }
+            const writer = func(unwrapRight(val));
+            panicOnAnotherInstance.call(this, writer, 'Writer.chain'); 
+            panicOnAnotherMonoid.call(this, writer, 'Writer.chain');
+            const inner = writer._value();
+            panicOnPromise(inner, 'Writer.chain');
+            return [unwrapRight(inner[0]), this._monoid.concat(log, inner[1])]
+        }
+        return new Writer(newRun, this._monoid)
+    }
 
     /**
      * @template V 
-     * @param {function(V): V} func 
-     * @returns {void} 
-     * Stores functions in an array for execution through flat iteration.
-     * It can be useful for very long chains to avoid possible stack overflows.  
-     * !!!-MATTER-!!!: returns the same monad - folding functions into its current structure.
-     * Only for SYNC functions.    
+     * @param {function(V): Promise<Writer<F>>} func 
+     * @returns {Writer<F>}
+     * @throws {MonadError} 'Improper use of "chainAsync" method'
+     */
+    chainAsync(func) {
+        const newRun = async () => {
+            const initial = await this._value();
+            const [val, log] = initial;
+            if (isHaltSMonad(val)) { return initial }
+            const writer = await func(unwrapRight(val));
+            panicOnAnotherInstance.call(this, writer, 'Writer.chainAsync'); 
+            panicOnAnotherMonoid.call(this, writer, 'Writer.chainAsync');
+            const [innerVal, innerLog] = await writer._value();
+            return [unwrapRight(innerVal), this._monoid.concat(log, innerLog)]
+        }
+        return new Writer(newRun, this._monoid)
+    }
+
+    /**
+     * @template V 
+     * @param {function(V): V | SMonad} func 
+     * @returns {Writer<F>}
+     * @throws {MonadError} 'Improper use of "map" method - func must NOT return a lazy Monad'
+     */
+    map(func) {
+        const newRun = () => {
+            const initial = this._value();
+            panicOnPromise(initial, 'Writer.map');
+            const [val, log] = initial;
+            if (isHaltSMonad(val)) { return initial }
+            const newVal = func(unwrapRight(val));
+            panicOnPromise(newVal, 'Writer.map');
+            panicOnLazyMapViolation(newVal, 'Writer.map');
+            return [unwrapRight(newVal), log]
+        }
+        return new Writer(newRun, this._monoid)
+    }
+
+    /**
+     * @template V 
+     * @param {function(V): Promise<V | SMonad>} func 
+     * @returns {Writer<F>}
+     * @throws {MonadError} 'Improper use of "mapAsync" method - func must NOT return a lazy Monad'
+     */
+    mapAsync(func) {
+        const newRun = async () => {
+            const initial = await this._value();
+            const [val, log] = initial;
+            if (isHaltSMonad(val)) { return initial }
+            const newVal = await func(unwrapRight(val));
+            panicOnLazyMapViolation(newVal, 'Writer.mapAsync');
+            return [unwrapRight(newVal), log]
+        }
+        return new Writer(newRun, this._monoid)
+    }
+
+    /**
+     * Exposes the log: the value becomes [value, log]. A halted SMonad stays as is. Works for SYNC and ASYNC Writers.
+     * @returns {Writer<F>}
+     */
+    listen() {
+        const expose = ([val, log]) => [isHaltSMonad(val) ? val : [unwrapRight(val), log], log];
+        const newRun = () => {
+            const initial = this._value();
+            return initial instanceof Promise ? initial.then(expose) : expose(initial)
+        }
+        return new Writer(newRun, this._monoid)
+    }
+
+    /**
+     * Transforms the log accumulated before this point. Works for SYNC and ASYNC Writers.
+     * @template L
+     * @param {function(L): L} func - log => newLog
+     * @returns {Writer<F>}
+     * @throws {MonadError} 'Improper use of "censor" method'
      */
-    mapIter(func) { this._iterStore.push([func, MAP_MTD]); return this }
+    censor(func) {
+        panicIfNotFunction(func, 'Writer.censor');
+        const transform = ([val, log]) => [val, func(log)];
+        const newRun = () => {
+            const initial = this._value();
+            return initial instanceof Promise ? initial.then(transform) : transform(initial)
+        }
+        return new Writer(newRun, this._monoid)
+    }
 
     /**    
      * @template V 
-     * @template S 
-     * @param {S} state  
-     * @param {boolean} clear if true - clear iteration structure after execution. DEFAULT true.   
-     * @returns {[V,S]}
-     * @throws {MonadError} Improper use of chainIter and mapIter methods
-     * First, it runs the standard run() method.
-     * And then iterates over the functions added through chainIter and mapIter methods.
-     * Only for SYNC functions.
+     * @template L 
+     * @returns {[V, L]}
      */
-    runIter(state, clear=true) {
-        try {
-            const initial = this._value(state);
-            panicOnPromise(initial, 'State.runIter');           
-            let [val, newState] = initial;
-            for(const [func, method] of this._iterStore) {
-                if (method === CHAIN_MTD) {
-                    const stateMonad = func(val);
-                    panicOnAnotherInstance.call(this, stateMonad, 'State.runIter');
-                    [val, newState] =  stateMonad._value(newState);
-                } else if (method === MAP_MTD) {
-                    val = func(val);
-                    panicOnLazyMapViolation(val, 'State.runIter');               
-                }
-            }
-            return [val, newState]
-        } finally {
-            if(clear) { this._iterStore = [] }
-        }        
+    run() {
+        const result = this._value();
+        panicOnPromise(result, 'Writer.run');
+        return result
     }
 
+    /**
+     * @async    
+     * @returns {Promise<[V, L]>}
+     */
+    async runAsync() { return await this._value() }
+
+    /**    
+     * @returns {[V, L]}
+     * The same as run. Made for interface uniformity with Effect monad 
+     */
+    fold() {
+        const result = this._value();
+        panicOnPromise(result, 'Writer.fold');
+        return result
+    }
+    
+    /**    
+     * @async
+     * @returns {Promise<[V, L]>}
+     * The same as runAsync. Made for interface uniformity with Effect monad 
+     */
+    async foldAsync() { return await this._value() } 
+
+    toString() { return 'Writer(<lazy>)' }
+
     /**    
      * @template V     
      * @param {V} val   
-     * @returns {State<F>}     
+     * @param {'array'|'string'|Monoid} [monoid] - DEFAULT 'array'
+     * @returns {Writer<F>} the value with the empty log    
      */
-    static pure(val) { return new State(state => [val, state]) }
-    
-    /** @returns {State<function(S): [S, S]>} */
-    static get() { return new State(state => [state, state]) }
-    
-    /** 
-     * @template S     
-     * @param {S} newState     
-     * @returns {State<function(S): [null, S]>}     
+    static pure(val, monoid='array') {
+        const resolved = resolveMonoid(monoid, 'static Writer.pure');
+        return new Writer(() => [val, resolved.empty], resolved)
+    }
+
+    /**
+     * @param {*} entry - one entry of the log
+     * @param {'array'|'string'|Monoid} [monoid] - DEFAULT 'array'
+     * @returns {Writer<function(): [null, L]>}
      */
-    static put(newState) { return new State(_ => [null, newState]) }
+    static tell(entry, monoid='array') {
+        const resolved = resolveMonoid(monoid, 'static Writer.tell');
+        return new Writer(() => [null, resolved.of(entry)], resolved)
+    }
 }
 
 
 return {
     MonadError,
+    NothingError,
+    AbortError,
+    TimeoutError,
     Monad,
     SMonad,
     LMonad,
@@ -1173,8 +4777,15 @@ return {
     Fail,
     Just,
     Nothing,
+    Validation,
+    Valid,
+    Invalid,
     Effect,
+    Exit,
     State,
+    StateProgram,
+    Reader,
+    Writer,
 }
 
 }())